@@ -0,0 +1,131 @@
+// Client-side replica of the room's operation log
+// Mirrors DrawingState.getActiveOperations() so raw log tails from a
+// `sync` (strokes, selection edits, undo/redo ops) can be applied
+// incrementally.
+
+class BoardState {
+  constructor() {
+    this.ops = new Map(); // opId → committed change (active or undone)
+    this.active = new Set(); // opIds currently in effect
+    this.ordered = null; // cached getActiveOperations() result
+    this.layers = BoardLayers.defaultLayers(); // bottom first
+  }
+
+  // Replace everything with a list of active operations
+  reset(activeOps, layers = BoardLayers.defaultLayers()) {
+    this.ops.clear();
+    this.active.clear();
+    this.ordered = null;
+    this.layers = layers;
+    for (const op of activeOps) {
+      this.ops.set(op.id, op);
+      this.active.add(op.id);
+    }
+  }
+
+  get(opId) {
+    return this.ops.get(opId);
+  }
+
+  // Apply one log entry; returns what changed so callers can pick
+  // between an incremental draw and a full redraw
+  //   "added"   → a new op became visible on top
+  //   "changed" → visibility changed somewhere in the middle
+  //   "missing" → an undo/redo involving ops we never received (they
+  //               were hidden when we joined) → only a full sync can
+  //               fix that
+  //   "layers"  → the layer list changed
+  //   null      → nothing visible changed (duplicate, unknown target…)
+  apply(op) {
+    if (op.type === "layers") {
+      this.layers = op.layers;
+      return "layers";
+    }
+
+    if (op.type === "undo" || op.type === "redo") {
+      const on = op.type === "redo";
+      const target = this.ops.get(op.inverseOf || op.redoOf);
+      if (!target) return "missing";
+      // an undo brings back what the change hid — we need to have it
+      if (!on && this.uncovers(target).some((id) => !this.ops.has(id))) {
+        return "missing";
+      }
+
+      if (this.active.has(target.id) === on) return null;
+      for (const member of [target, ...(target.ops || [])]) {
+        if (on) this.active.add(member.id);
+        else this.active.delete(member.id);
+      }
+      this.ordered = null;
+      return "changed";
+    }
+
+    if (this.ops.has(op.id)) return null;
+
+    // Selection edits: a transform brings its edited copies, a delete
+    // only hides things
+    if (op.type === "transform" || op.type === "delete") {
+      for (const member of [op, ...(op.ops || [])]) {
+        this.ops.set(member.id, member);
+        this.active.add(member.id);
+      }
+      this.ordered = null;
+      return "changed";
+    }
+
+    this.ops.set(op.id, op);
+    this.active.add(op.id);
+
+    // An edit hides something already on the canvas
+    if (op.replaces && this.active.has(op.replaces)) {
+      this.ordered = null;
+      return "changed";
+    }
+
+    // newest seq → goes on top of the cached order
+    if (this.ordered && !op.replaces) this.ordered.push(op);
+    else this.ordered = null;
+    return "added";
+  }
+
+  // Ids of the ops undoing `entry` would bring back
+  uncovers(entry) {
+    if (entry.type === "delete") return entry.targets;
+    if (entry.type === "transform") return entry.ops.map((o) => o.replaces);
+    return entry.replaces ? [entry.replaces] : [];
+  }
+
+  // The ops whose area changes when `entry` takes effect or is undone:
+  // what it draws and what it hides
+  affected(entry) {
+    const drawn = entry.type === "delete" ? [] : entry.ops || [entry];
+    const hidden = this.uncovers(entry)
+      .map((id) => this.ops.get(id))
+      .filter(Boolean);
+    return [...drawn, ...hidden];
+  }
+
+  // Visible ops in board order, like the server's list: by seq, and by
+  // `sub` among the copies one transform makes.
+  // The array is cached between changes — callers must not mutate it.
+  getActiveOperations() {
+    if (this.ordered) return this.ordered;
+
+    const ops = [...this.active].map((id) => this.ops.get(id));
+
+    // An active edit hides the op it replaces, a delete its targets
+    const hidden = new Set(
+      ops.flatMap((op) =>
+        op.type === "delete" ? op.targets : [op.replaces].filter(Boolean)
+      )
+    );
+
+    this.ordered = ops
+      .filter((op) => op.type !== "transform" && op.type !== "delete")
+      .filter((op) => !hidden.has(op.id))
+      .sort((a, b) => a.seq - b.seq || (a.sub || 0) - (b.sub || 0));
+    return this.ordered;
+  }
+}
+
+window.BoardState = BoardState;
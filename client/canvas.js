@@ -1,6 +1,28 @@
 // Advanced Canvas system with layered canvases
 // Aligned with assignment: main-canvas, temp-canvas, cursor-canvas
 // Smooth drawing, batching support, remote cursors, full redraw pipeline
+// Shape tools (line, rect, ellipse, arrow) with live preview
+// Text tool with an in-place editor
+// Infinite canvas: world coordinates with zoom/pan (see viewport.js)
+// Layers: committed ops are painted per layer offscreen, then stacked
+// Select tool: pick committed ops to move, scale, recolor or delete
+// Pointer Events: mouse, touch and pen (pressure, palm rejection,
+// two-finger navigation, coalesced samples)
+// Freehand strokes: optional curve smoothing, simplified before commit
+// Paint bucket: fills the closed area under a click (see shared/fill.js)
+// Images: uploaded pictures placed as ops, drawn once they have loaded
+
+const SHAPE_TOOLS = new Set(["line", "rect", "ellipse", "arrow"]);
+
+// Select tool tolerances, in screen pixels
+const SELECT_SLOP_PX = 4; // how near a thin line a click still hits it
+const SELECT_HANDLE_PX = 6; // half the size of a corner handle
+const SELECT_MIN_SCALE = 0.01; // same bounds as the server's
+const SELECT_MAX_SCALE = 100;
+
+// Text ops are rendered with this font stack and line spacing everywhere
+const TEXT_FONT = "Arial, sans-serif";
+const TEXT_LINE_HEIGHT = 1.2;
 
 class CanvasSystem {
   constructor() {
@@ -13,29 +35,92 @@ class CanvasSystem {
     this.tempCtx = this.temp.getContext("2d");
     this.cursorCtx = this.cursor.getContext("2d");
 
-    this.setDimensions();
-    window.addEventListener("resize", () => this.setDimensions());
+    // Event system
+    this.listeners = new Map();
+
+    // World ↔ screen transform
+    this.view = new Viewport();
+    this.spaceHeld = false;
+    this.panning = null; // last screen point while space-dragging
+    this.pinch = null; // { dist, mid } while two fingers are down
+
+    // Pointer Events: the one pointer drawing (or dragging) at a time,
+    // and the fingers on the screen (pointerId → screen point). Once a pen
+    // has been used, fingers only navigate (palm rejection).
+    this.activePointer = null;
+    this.fingers = new Map();
+    this.penSeen = false;
+
+    // Remote cursors (see cursor-layer.js)
+    this.cursors = new CursorLayer(this.cursor, this.view);
 
     // Local drawing state
     this.isDrawing = false;
     this.last = null;
     this.currentPoints = [];
+    this.shapeStart = null;
+    this.currentShape = null;
+
+    // In-progress previews on temp-canvas, keyed by "local" or userId
+    // key → { segments: [], shape: null }
+    this.live = new Map();
 
     // Active tool settings
     this.tool = "brush";
     this.color = "#000000";
     this.width = 5;
+    this.fill = false;
+    this.fontSize = 24;
+    this.smooth = true; // draw freehand strokes as curves
+    this.simplifyTolerance = 1; // screen px a committed stroke may deviate
+    this.fillTolerance = 10; // % a color may differ and still be filled
 
-    // Event system
-    this.listeners = new Map();
+    // Open text box (only one at a time)
+    this.textEditor = null;
+
+    // Select tool: the selected ops, the drag in progress
+    // ({ mode: "move" | "scale" | "marquee", start, p, … }) and the edit
+    // sent but not confirmed yet (still previewed)
+    this.selection = [];
+    this.selectDrag = null;
+    this.pendingTransform = null;
+    // set by main.js: the ops this user may select, in board order
+    this.selectable = () => [];
+
+    // Playback: the board can be looked at (zoom/pan) but not drawn on
+    this.readOnly = false;
+
+    // op → world bounds (committed ops never change)
+    this.bounds = new WeakMap();
+    this.fillPaths = new WeakMap(); // fill op → Path2D
+
+    // imageId → loaded <img>, or null while main.js fetches it
+    this.images = new Map();
+
+    // Each layer is painted on its own offscreen canvas and the visible
+    // ones are stacked onto main-canvas, so an eraser (destination-out)
+    // only cuts through the layer it was drawn on
+    this.layers = BoardLayers.defaultLayers(); // bottom first
+    this.layerCanvases = new Map(); // layerId → canvas
+
+    this.setDimensions();
+    window.addEventListener("resize", () => this.setDimensions());
 
     // Bind events
-    this.temp.addEventListener("mousedown", (e) => this.pointerDown(e));
-    this.temp.addEventListener("mousemove", (e) => this.pointerMove(e));
-    this.temp.addEventListener("mouseup", () => this.pointerUp());
-    this.temp.addEventListener("mouseout", () => this.pointerUp());
+    this.temp.addEventListener("pointerdown", (e) => this.onPointerDown(e));
+    this.temp.addEventListener("pointermove", (e) => this.onPointerMove(e));
+    this.temp.addEventListener("pointerup", (e) => this.onPointerUp(e));
+    this.temp.addEventListener("pointercancel", (e) => this.onPointerUp(e));
+
+    // Navigation: wheel/pinch zoom, wheel pan, space-drag pan
+    this.temp.addEventListener("wheel", (e) => this.onWheel(e), {
+      passive: false,
+    });
+    window.addEventListener("keydown", (e) => this.onKey(e, true));
+    window.addEventListener("keyup", (e) => this.onKey(e, false));
   }
 
+  // Resizing clears every canvas → repaint from history
   setDimensions() {
     const rect = this.main.parentElement.getBoundingClientRect();
     const w = rect.width;
@@ -44,6 +129,92 @@ class CanvasSystem {
       c.width = w;
       c.height = h;
     });
+    this.layerCanvases.clear(); // recreated at the new size
+
+    this.renderTemp();
+    this.cursors.render();
+    this.emit("invalidate");
+  }
+
+  // -------------------------
+  // Zoom / pan
+  // -------------------------
+
+  viewChanged() {
+    this.closeTextEditor(true);
+    this.renderTemp();
+    this.cursors.render();
+    this.emit("invalidate");
+    this.emit("view-change", this.view);
+  }
+
+  // Ctrl+wheel (and trackpad pinch, which reports ctrlKey) zooms,
+  // plain wheel pans
+  onWheel(e) {
+    e.preventDefault();
+
+    if (e.ctrlKey || e.metaKey) {
+      this.view.zoomAt(this.screenPos(e), Math.exp(-e.deltaY * 0.01));
+    } else {
+      this.view.panBy(-e.deltaX, -e.deltaY);
+    }
+    this.viewChanged();
+  }
+
+  // Two fingers pan and zoom together
+  pinchMove() {
+    const [a, b] = [...this.fingers.values()];
+    const dist = Math.hypot(a.x - b.x, a.y - b.y);
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+    if (this.pinch) {
+      this.view.panBy(mid.x - this.pinch.mid.x, mid.y - this.pinch.mid.y);
+      this.view.zoomAt(mid, dist / this.pinch.dist);
+      this.viewChanged();
+    }
+    this.pinch = { dist, mid };
+  }
+
+  onKey(e, down) {
+    if (e.target.closest && e.target.closest("input, textarea, select")) {
+      return;
+    }
+
+    // Delete/Backspace removes the selection, Escape drops it
+    if (down && this.selection.length) {
+      if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        this.emit(
+          "delete",
+          this.selection.map((op) => op.id)
+        );
+        return;
+      }
+      if (e.key === "Escape") {
+        this.clearSelection();
+        return;
+      }
+    }
+
+    if (e.code !== "Space") return;
+    e.preventDefault();
+    this.spaceHeld = down;
+    this.temp.style.cursor = down ? "grab" : "";
+  }
+
+  // Entering read-only drops whatever was being drawn
+  setReadOnly(on) {
+    this.readOnly = on;
+    if (!on) return;
+
+    this.closeTextEditor(false);
+    this.abortGesture();
+    this.clearSelection();
+  }
+
+  resetView() {
+    this.view.reset();
+    this.viewChanged();
   }
 
   on(ev, cb) {
@@ -59,6 +230,7 @@ class CanvasSystem {
 
   toolSet(tool) {
     this.tool = tool;
+    if (tool !== "select") this.clearSelection();
   }
   colorSet(color) {
     this.color = color;
@@ -66,27 +238,222 @@ class CanvasSystem {
   widthSet(w) {
     this.width = w;
   }
+  fillSet(fill) {
+    this.fill = fill;
+  }
+  fontSizeSet(size) {
+    this.fontSize = size;
+  }
+  smoothSet(on) {
+    this.smooth = on;
+  }
+  simplifySet(px) {
+    this.simplifyTolerance = px;
+  }
+  fillToleranceSet(percent) {
+    this.fillTolerance = percent;
+  }
 
-  pointerPos(e) {
+  // Position relative to the canvas element (screen pixels)
+  screenPos(e) {
     const r = this.temp.getBoundingClientRect();
     return { x: e.clientX - r.left, y: e.clientY - r.top };
   }
 
+  // Position in world coordinates — everything drawn or sent uses this
+  pointerPos(e) {
+    return this.view.toWorld(this.screenPos(e));
+  }
+
+  // A freehand sample: its world position, plus the pressure for a pen
+  strokePoint(e) {
+    const p = this.pointerPos(e);
+    if (e.pointerType === "pen") {
+      p.pressure = BoardStroke.quantizePressure(e.pressure);
+    }
+    return p;
+  }
+
+  // -------------------------
+  // Pointer routing
+  // -------------------------
+  // Only one pointer draws at a time; the tool handlers below never see
+  // the others. Two fingers always navigate.
+
+  onPointerDown(e) {
+    if (e.pointerType === "touch") {
+      // a hand resting on the screen while a pen (or mouse) draws
+      if (this.activePointer && this.activePointer.type !== "touch") return;
+
+      this.fingers.set(e.pointerId, this.screenPos(e));
+      if (this.fingers.size === 2) {
+        // drop what the first finger started: this is a pan/zoom
+        this.abortGesture();
+        this.pinch = null;
+        return;
+      }
+      if (this.fingers.size > 2 || this.penSeen) return;
+    }
+
+    if (e.pointerType === "pen") {
+      this.penSeen = true;
+      // the pen wins over a finger (or palm) that got there first
+      if (this.activePointer && this.activePointer.type === "touch") {
+        this.abortGesture();
+      }
+    }
+
+    if (this.activePointer) return;
+    this.activePointer = { id: e.pointerId, type: e.pointerType };
+    this.temp.setPointerCapture(e.pointerId);
+    this.pointerDown(e);
+  }
+
+  onPointerMove(e) {
+    if (this.fingers.has(e.pointerId)) {
+      this.fingers.set(e.pointerId, this.screenPos(e));
+      if (this.fingers.size === 2) {
+        this.pinchMove();
+        return;
+      }
+    }
+
+    // hovering mice and pens still move our cursor; fingers don't hover
+    const active = this.activePointer;
+    if (active ? active.id !== e.pointerId : e.pointerType === "touch") return;
+    this.pointerMove(e);
+  }
+
+  onPointerUp(e) {
+    if (this.fingers.delete(e.pointerId) && this.fingers.size < 2) {
+      this.pinch = null;
+    }
+
+    if (!this.activePointer || this.activePointer.id !== e.pointerId) return;
+    // the browser took the pointer away (e.g. its own palm detection)
+    if (e.type === "pointercancel") {
+      this.abortGesture();
+      return;
+    }
+    this.activePointer = null;
+    this.pointerUp();
+  }
+
+  // Drop whatever the active pointer was doing without committing it
+  abortGesture() {
+    this.activePointer = null;
+    this.panning = null;
+    this.selectDrag = null;
+
+    if (this.isDrawing) {
+      this.isDrawing = false;
+      this.shapeStart = null;
+      this.currentShape = null;
+      this.currentPoints = [];
+      // others are showing its live preview
+      this.emit("stroke-cancel", this.strokeId);
+    }
+    this.clearLive("local");
+    this.renderTemp();
+  }
+
   pointerDown(e) {
+    if (this.spaceHeld) {
+      this.panning = this.screenPos(e);
+      return;
+    }
+
+    // Comments don't draw, so they work on a read-only board too;
+    // main.js opens the pin under the click or asks for a new comment
+    if (this.tool === "comment") {
+      this.emit("comment-place", this.pointerPos(e));
+      return;
+    }
+
+    if (this.readOnly) return;
     const p = this.pointerPos(e);
+
+    // Text tool: main.js decides between a new box and editing an old one
+    if (this.tool === "text") {
+      this.emit("text-place", p);
+      return;
+    }
+
+    if (this.tool === "select") {
+      this.selectDown(p, e.shiftKey);
+      return;
+    }
+
+    // Paint bucket: main.js hands the board back to fillAt()
+    if (this.tool === "fill") {
+      this.emit("fill-place", p);
+      return;
+    }
+
     this.isDrawing = true;
-    this.last = p;
-    this.currentPoints = [p];
+    this.last = this.strokePoint(e);
+    this.currentPoints = [this.last];
+
+    // Ties live segments/previews to the committed op (sent as clientId)
+    this.strokeId = newStrokeId();
+
+    if (SHAPE_TOOLS.has(this.tool)) {
+      this.shapeStart = p;
+      this.currentShape = null;
+    }
 
     this.emit("cursor-move", p);
   }
 
   pointerMove(e) {
+    if (this.panning) {
+      const s = this.screenPos(e);
+      this.view.panBy(s.x - this.panning.x, s.y - this.panning.y);
+      this.panning = s;
+      this.viewChanged();
+      return;
+    }
+
     const p = this.pointerPos(e);
     this.emit("cursor-move", p);
 
+    if (this.selectDrag) {
+      this.selectDrag.p = p;
+      this.renderTemp();
+      return;
+    }
+
     if (!this.isDrawing) return;
 
+    if (this.shapeStart) {
+      const end = e.shiftKey ? constrain(this.tool, this.shapeStart, p) : p;
+      this.currentShape = {
+        kind: "shape",
+        tool: this.tool,
+        x0: this.shapeStart.x,
+        y0: this.shapeStart.y,
+        x1: end.x,
+        y1: end.y,
+        color: this.color,
+        width: this.width,
+        fill: this.fill,
+        strokeId: this.strokeId,
+      };
+
+      this.drawTemp(this.currentShape);
+      this.emit("stroke", this.currentShape);
+      return;
+    }
+
+    // one pointermove can stand for several samples since the last
+    // frame; using them all keeps fast curves smooth
+    const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    for (const sample of samples.length ? samples : [e]) {
+      this.extendStroke(this.strokePoint(sample));
+    }
+  }
+
+  extendStroke(p) {
     const seg = {
       x0: this.last.x,
       y0: this.last.y,
@@ -95,7 +462,11 @@ class CanvasSystem {
       color: this.tool === "eraser" ? "rgba(0,0,0,1)" : this.color,
       width: this.width,
       tool: this.tool,
+      strokeId: this.strokeId,
     };
+    const pressure = BoardStroke.segmentPressure(this.last, p);
+    if (pressure !== undefined) seg.pressure = pressure;
+    if (this.smooth) seg.smooth = true;
 
     this.drawTemp(seg);
     this.emit("stroke", seg);
@@ -104,65 +475,918 @@ class CanvasSystem {
   }
 
   pointerUp() {
+    this.panning = null;
+    if (this.selectDrag) this.selectUp();
     if (!this.isDrawing) return;
     this.isDrawing = false;
-    this.tempCtx.clearRect(0, 0, this.temp.width, this.temp.height);
+    this.clearLive("local");
 
-    this.emit("stroke-complete", {
+    if (this.shapeStart) {
+      const shape = this.currentShape;
+      this.shapeStart = null;
+      this.currentShape = null;
+      if (!shape) return; // click without drag
+
+      const { kind, strokeId, ...rest } = shape;
+      this.emit("stroke-complete", {
+        ...rest,
+        type: "shape",
+        clientId: strokeId,
+      });
+      return;
+    }
+
+    // Drop the points the stroke doesn't need: the tolerance is in screen
+    // pixels, so what is dropped is equally invisible at any zoom
+    const op = {
       tool: this.tool,
       color: this.tool === "eraser" ? "rgba(0,0,0,1)" : this.color,
       width: this.width,
-      points: this.currentPoints,
-    });
+      points: BoardStroke.simplify(
+        this.currentPoints,
+        this.simplifyTolerance / this.view.scale,
+        this.width
+      ),
+      clientId: this.strokeId,
+    };
+    if (this.smooth) op.smooth = true;
+    this.emit("stroke-complete", op);
 
     this.currentPoints = [];
   }
 
+  // -------------------------
+  // Live previews (temp-canvas)
+  // -------------------------
+
+  // Local calls pass no userId; remote segments are tagged by the server
+  // and grouped per stroke (strokeId becomes the committed op's clientId)
   drawTemp(seg) {
+    const key = seg.userId ? seg.strokeId || seg.userId : "local";
+    if (!this.live.has(key)) this.live.set(key, { segments: [], shape: null });
+    const entry = this.live.get(key);
+
+    // Shape previews replace the previous frame → repaint the layer
+    if (seg.kind === "shape") {
+      entry.shape = seg;
+      this.renderTemp();
+      return;
+    }
+
+    // a smooth segment curves on from the one before it
+    const prev = entry.segments[entry.segments.length - 1];
+    entry.segments.push(seg);
+    this.drawSegment(seg, prev);
+  }
+
+  // Drop a finished/abandoned preview
+  clearLive(key) {
+    if (this.live.delete(key)) this.renderTemp();
+  }
+
+  // Drop every preview, local and remote
+  clearAllLive() {
+    this.live.clear();
+    this.renderTemp();
+  }
+
+  renderTemp() {
+    this.tempCtx.setTransform(1, 0, 0, 1, 0, 0);
+    this.tempCtx.clearRect(0, 0, this.temp.width, this.temp.height);
+    for (const { segments, shape } of this.live.values()) {
+      segments.forEach((seg, i) => this.drawSegment(seg, segments[i - 1]));
+      if (shape) this.drawShape(this.tempCtx, shape);
+    }
+    this.drawSelection();
+  }
+
+  // Draws what the committed stroke will show for this segment (see
+  // BoardStroke.piece); `prev` is the segment before it, if any
+  drawSegment(seg, prev) {
     const ctx = this.tempCtx;
+    this.view.apply(ctx);
     ctx.lineCap = ctx.lineJoin = "round";
-    ctx.lineWidth = seg.width;
+    ctx.lineWidth = BoardStroke.widthAt(seg.width, seg.pressure);
     ctx.strokeStyle = seg.color;
     ctx.globalCompositeOperation =
       seg.tool === "eraser" ? "destination-out" : "source-over";
 
+    const path = BoardStroke.piece(
+      prev && { x: prev.x0, y: prev.y0 },
+      { x: seg.x0, y: seg.y0 },
+      { x: seg.x1, y: seg.y1 },
+      seg.smooth
+    );
+    tracePath(ctx, path);
+    ctx.stroke();
+  }
+
+  drawShape(ctx, s, view = this.view) {
+    view.apply(ctx);
+    ctx.lineCap = ctx.lineJoin = "round";
+    ctx.lineWidth = s.width;
+    ctx.strokeStyle = ctx.fillStyle = s.color;
+    ctx.globalCompositeOperation = "source-over";
+
     ctx.beginPath();
-    ctx.moveTo(seg.x0, seg.y0);
-    ctx.lineTo(seg.x1, seg.y1);
+    if (s.tool === "rect") {
+      ctx.rect(
+        Math.min(s.x0, s.x1),
+        Math.min(s.y0, s.y1),
+        Math.abs(s.x1 - s.x0),
+        Math.abs(s.y1 - s.y0)
+      );
+    } else if (s.tool === "ellipse") {
+      ctx.ellipse(
+        (s.x0 + s.x1) / 2,
+        (s.y0 + s.y1) / 2,
+        Math.abs(s.x1 - s.x0) / 2,
+        Math.abs(s.y1 - s.y0) / 2,
+        0,
+        0,
+        Math.PI * 2
+      );
+    } else {
+      ctx.moveTo(s.x0, s.y0);
+      ctx.lineTo(s.x1, s.y1);
+
+      if (s.tool === "arrow") {
+        const angle = Math.atan2(s.y1 - s.y0, s.x1 - s.x0);
+        const head = Math.max(10, s.width * 3);
+        for (const side of [-1, 1]) {
+          ctx.moveTo(s.x1, s.y1);
+          ctx.lineTo(
+            s.x1 - head * Math.cos(angle + (side * Math.PI) / 6),
+            s.y1 - head * Math.sin(angle + (side * Math.PI) / 6)
+          );
+        }
+      }
+    }
+
+    const closed = s.tool === "rect" || s.tool === "ellipse";
+    if (closed && s.fill) ctx.fill();
     ctx.stroke();
   }
 
-  drawOp(op) {
+  drawText(ctx, t, view = this.view) {
+    view.apply(ctx);
+    ctx.globalCompositeOperation = "source-over";
+    ctx.fillStyle = t.color;
+    ctx.font = `${t.fontSize}px ${TEXT_FONT}`;
+    ctx.textBaseline = "top";
+
+    const lines = t.text.split("\n");
+    lines.forEach((line, i) => {
+      ctx.fillText(line, t.x, t.y + i * t.fontSize * TEXT_LINE_HEIGHT);
+    });
+  }
+
+  // Bounding box of a text op (used for click-to-edit hit testing)
+  textBounds(t) {
     const ctx = this.mainCtx;
+    ctx.font = `${t.fontSize}px ${TEXT_FONT}`;
+
+    const lines = t.text.split("\n");
+    const width = Math.max(...lines.map((l) => ctx.measureText(l).width));
+    const height = lines.length * t.fontSize * TEXT_LINE_HEIGHT;
+    return { x: t.x, y: t.y, width, height };
+  }
+
+  // World-space bounding box of a committed op, padded for line width
+  opBounds(op) {
+    if (!this.bounds.has(op)) {
+      let b;
+      if (op.type === "text") {
+        const t = this.textBounds(op);
+        b = { minX: t.x, minY: t.y, maxX: t.x + t.width, maxY: t.y + t.height };
+      } else {
+        b = BoardExport.opBounds(op);
+      }
+      this.bounds.set(op, b);
+    }
+    return this.bounds.get(op);
+  }
+
+  // Paint one op onto `ctx` (a layer or export canvas)
+  drawOp(op, ctx, view = this.view) {
+    if (op.type === "shape") {
+      this.drawShape(ctx, op, view);
+      return;
+    }
+
+    if (op.type === "text") {
+      this.drawText(ctx, op, view);
+      return;
+    }
+
+    if (op.type === "image") {
+      this.drawImageOp(ctx, op, view);
+      return;
+    }
+
+    if (op.type === "fill") {
+      view.apply(ctx);
+      ctx.globalCompositeOperation = "source-over";
+      ctx.fillStyle = op.color;
+      ctx.fill(this.fillPath(op));
+      return;
+    }
+
+    view.apply(ctx);
     ctx.lineCap = ctx.lineJoin = "round";
-    ctx.lineWidth = op.width;
     ctx.strokeStyle = op.color;
     ctx.globalCompositeOperation =
       op.tool === "eraser" ? "destination-out" : "source-over";
 
-    const pts = op.points;
-    if (pts.length < 2) return;
+    if (op.points.length < 2) return;
 
-    ctx.beginPath();
-    ctx.moveTo(pts[0].x, pts[0].y);
-    for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-    ctx.stroke();
+    // pen strokes change width along the way (see shared/stroke.js)
+    for (const run of BoardStroke.runs(op)) {
+      ctx.lineWidth = run.width;
+      tracePath(ctx, run);
+      ctx.stroke();
+    }
+  }
+
+  // A fill's rectangles as one path (built once: ops never change)
+  fillPath(op) {
+    if (!this.fillPaths.has(op)) {
+      const path = new Path2D();
+      for (const r of BoardFill.worldRects(op)) {
+        path.rect(r.x, r.y, r.width, r.height);
+      }
+      this.fillPaths.set(op, path);
+    }
+    return this.fillPaths.get(op);
+  }
+
+  // -------------------------
+  // Images: the first time an imageId is drawn, "image-needed" asks
+  // main.js for the picture; setImage() hands it over and everything
+  // is repainted once it has loaded
+  // -------------------------
+
+  drawImageOp(ctx, op, view) {
+    const img = this.images.get(op.imageId);
+    if (img === undefined) {
+      this.images.set(op.imageId, null);
+      this.emit("image-needed", op.imageId);
+    }
+    if (!img) return;
+
+    view.apply(ctx);
+    ctx.globalCompositeOperation = "source-over";
+    ctx.drawImage(img, op.x, op.y, op.w, op.h);
+  }
+
+  // `src` is a URL the browser can load (a data: URL from main.js)
+  setImage(imageId, src) {
+    const img = new Image();
+    img.onload = () => {
+      this.images.set(imageId, img);
+      this.emit("invalidate");
+    };
+    img.src = src;
+  }
+
+  // Commit an uploaded picture of width × height pixels centered on world
+  // point `at`: one screen pixel per image pixel, shrunk to fit the view
+  placeImage(imageId, width, height, at) {
+    const seen = this.view.visibleRect(this.main.width, this.main.height);
+    const scale = Math.min(
+      1 / this.view.scale,
+      (seen.width * 0.8) / width,
+      (seen.height * 0.8) / height
+    );
+    const w = width * scale;
+    const h = height * scale;
+
+    this.emit("stroke-complete", {
+      type: "image",
+      imageId,
+      x: at.x - w / 2,
+      y: at.y - h / 2,
+      w,
+      h,
+      clientId: newStrokeId(),
+    });
+  }
+
+  // World point at the middle of the view (where pasted pictures go)
+  viewCenter() {
+    return this.view.toWorld({
+      x: this.main.width / 2,
+      y: this.main.height / 2,
+    });
+  }
+
+  // -------------------------
+  // Layers
+  // -------------------------
+
+  setLayers(layers) {
+    this.layers = layers;
+    for (const id of this.layerCanvases.keys()) {
+      if (!layers.some((layer) => layer.id === id)) {
+        this.layerCanvases.delete(id);
+      }
+    }
+  }
+
+  layerCtx(layerId) {
+    if (!this.layerCanvases.has(layerId)) {
+      const c = document.createElement("canvas");
+      c.width = this.main.width;
+      c.height = this.main.height;
+      this.layerCanvases.set(layerId, c);
+    }
+    return this.layerCanvases.get(layerId).getContext("2d");
+  }
+
+  // Stack the visible layers onto main-canvas, bottom first
+  // (only inside `rect`, in screen pixels, when given)
+  composite(rect = null) {
+    const ctx = this.mainCtx;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (rect) {
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.w, rect.h);
+      ctx.clip();
+    }
+    ctx.clearRect(0, 0, this.main.width, this.main.height);
+    ctx.globalCompositeOperation = "source-over";
+    for (const layer of this.layers) {
+      const c = layer.visible && this.layerCanvases.get(layer.id);
+      if (c) ctx.drawImage(c, 0, 0);
+    }
+    ctx.restore();
+  }
+
+  // Screen rectangle (whole pixels, 1px of slack for antialiasing)
+  // covering a world-space box, or null when it is off screen
+  screenRect(area) {
+    const tl = this.view.toScreen({ x: area.minX, y: area.minY });
+    const br = this.view.toScreen({ x: area.maxX, y: area.maxY });
+    const x = Math.max(0, Math.floor(tl.x) - 1);
+    const y = Math.max(0, Math.floor(tl.y) - 1);
+    const w = Math.min(this.main.width, Math.ceil(br.x) + 1) - x;
+    const h = Math.min(this.main.height, Math.ceil(br.y) + 1) - y;
+    return w > 0 && h > 0 ? { x, y, w, h } : null;
   }
 
+  // A newly committed op: paint it on top of its layer
+  addOp(op) {
+    const layerId = BoardLayers.layerOf(op);
+    if (!this.layers.some((layer) => layer.id === layerId)) return;
+
+    this.drawOp(op, this.layerCtx(layerId));
+    const rect = this.screenRect(this.opBounds(op));
+    if (rect) this.composite(rect);
+  }
+
+  // Repaint every layer from `ops` (hidden layers too, so showing one
+  // again only needs a composite)
   redraw(ops) {
-    this.mainCtx.clearRect(0, 0, this.main.width, this.main.height);
-    for (const op of ops) this.drawOp(op);
+    for (const c of this.layerCanvases.values()) {
+      const ctx = c.getContext("2d");
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, c.width, c.height);
+    }
+
+    const groups = BoardLayers.byLayer(ops, this.layers, { hidden: true });
+    for (const { layer, ops: layerOps } of groups) {
+      const ctx = this.layerCtx(layer.id);
+      for (const op of layerOps) this.drawOp(op, ctx);
+    }
+    this.composite();
   }
 
-  // Remote cursor rendering
-  updateCursor({ x, y, socketId, color }) {
-    const ctx = this.cursorCtx;
-    ctx.clearRect(0, 0, this.cursor.width, this.cursor.height);
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(x, y, 4, 0, Math.PI * 2);
-    ctx.fill();
+  // Repaint only the area covered by `touched` (ops that just appeared or
+  // disappeared, e.g. through undo/redo): on every layer, clear that
+  // screen rectangle and replay, clipped to it, the ops from `ops` that
+  // overlap it; then re-stack just that rectangle
+  redrawRegion(ops, touched) {
+    if (!touched.length) return;
+    const area = touched.map((op) => this.opBounds(op)).reduce(unionBox);
+
+    const rect = this.screenRect(area);
+    if (!rect) return; // off screen
+
+    const groups = BoardLayers.byLayer(ops, this.layers, { hidden: true });
+    for (const { layer, ops: layerOps } of groups) {
+      const ctx = this.layerCtx(layer.id);
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.w, rect.h);
+      ctx.clip();
+      ctx.clearRect(rect.x, rect.y, rect.w, rect.h);
+
+      for (const op of layerOps) {
+        const b = this.opBounds(op);
+        const overlaps =
+          b.minX <= area.maxX &&
+          b.maxX >= area.minX &&
+          b.minY <= area.maxY &&
+          b.maxY >= area.minY;
+        if (overlaps) this.drawOp(op, ctx);
+      }
+      ctx.restore();
+    }
+    this.composite(rect);
+  }
+
+  // -------------------------
+  // Selection (select tool): click an op to select it, shift-click to
+  // add/remove one, drag on empty space for a marquee; drag the
+  // selection to move it or a corner handle to scale it. Edits are
+  // emitted as "transform" / "delete" and previewed on temp-canvas
+  // until the server's entry replaces the selected ops.
+  // -------------------------
+
+  setSelection(ops) {
+    this.selection = ops;
+    this.pendingTransform = null;
+    this.renderTemp();
+  }
+
+  clearSelection() {
+    if (this.selection.length || this.pendingTransform) this.setSelection([]);
+  }
+
+  // World box around `ops`, or null for none
+  selectionBounds(ops = this.selection) {
+    return ops.length
+      ? ops.map((op) => this.opBounds(op)).reduce(unionBox)
+      : null;
+  }
+
+  // Whether world point `p` is on `op`: near the line for strokes,
+  // lines and arrows, on the area for fills, inside the box for
+  // everything else
+  touches(op, p, slop) {
+    if (op.type === "fill") return BoardFill.covers(op, p, slop);
+
+    let pts = null;
+    if (op.type === "stroke") pts = op.points;
+    if (op.tool === "line" || op.tool === "arrow") {
+      pts = [
+        { x: op.x0, y: op.y0 },
+        { x: op.x1, y: op.y1 },
+      ];
+    }
+
+    if (pts) {
+      const reach = op.width / 2 + slop;
+      return pts.some(
+        (pt, i) => segmentDistance(p, pts[Math.max(0, i - 1)], pt) <= reach
+      );
+    }
+
+    const b = this.opBounds(op);
+    return (
+      p.x >= b.minX - slop &&
+      p.x <= b.maxX + slop &&
+      p.y >= b.minY - slop &&
+      p.y <= b.maxY + slop
+    );
   }
+
+  // Topmost selectable op under `p`
+  hitTest(p) {
+    const slop = SELECT_SLOP_PX / this.view.scale;
+    const ops = this.selectable();
+    for (let i = ops.length - 1; i >= 0; i--) {
+      if (this.touches(ops[i], p, slop)) return ops[i];
+    }
+    return null;
+  }
+
+  // The corner opposite the selection handle under `p` (it stays put
+  // while scaling), or null
+  handleAt(p) {
+    const b = this.selectionBounds();
+    if (!b) return null;
+
+    const reach = SELECT_HANDLE_PX / this.view.scale;
+    for (const [x, y] of boxCorners(b)) {
+      if (Math.abs(p.x - x) <= reach && Math.abs(p.y - y) <= reach) {
+        return {
+          x: x === b.minX ? b.maxX : b.minX,
+          y: y === b.minY ? b.maxY : b.minY,
+        };
+      }
+    }
+    return null;
+  }
+
+  selectDown(p, additive) {
+    const anchor = this.handleAt(p);
+    if (anchor) {
+      const box = this.selectionBounds();
+      this.selectDrag = { mode: "scale", start: p, p, anchor, box };
+      return;
+    }
+
+    const hit = this.hitTest(p);
+    if (!hit) {
+      if (!additive) this.clearSelection();
+      this.selectDrag = { mode: "marquee", start: p, p, additive };
+      return;
+    }
+
+    if (additive) {
+      this.setSelection(
+        this.selection.includes(hit)
+          ? this.selection.filter((op) => op !== hit)
+          : [...this.selection, hit]
+      );
+      return;
+    }
+
+    if (!this.selection.includes(hit)) this.setSelection([hit]);
+    this.selectDrag = { mode: "move", start: p, p };
+  }
+
+  // The edit the current drag stands for (see shared/transform.js)
+  dragTransform() {
+    const d = this.selectDrag;
+    if (d.mode === "move") {
+      return { dx: d.p.x - d.start.x, dy: d.p.y - d.start.y };
+    }
+
+    // scale: the box spans from the fixed corner to the pointer
+    const t = BoardTransform.fitBox(d.box, {
+      minX: Math.min(d.anchor.x, d.p.x),
+      minY: Math.min(d.anchor.y, d.p.y),
+      maxX: Math.max(d.anchor.x, d.p.x),
+      maxY: Math.max(d.anchor.y, d.p.y),
+    });
+    for (const k of ["sx", "sy"]) {
+      t[k] = Math.min(SELECT_MAX_SCALE, Math.max(SELECT_MIN_SCALE, t[k]));
+    }
+    return t;
+  }
+
+  selectUp() {
+    const d = this.selectDrag;
+    if (d.mode === "marquee") {
+      this.selectDrag = null;
+      const box = boxOf(d.start, d.p);
+      const inside = this.selectable().filter((op) => {
+        const b = this.opBounds(op);
+        return (
+          b.minX >= box.minX &&
+          b.maxX <= box.maxX &&
+          b.minY >= box.minY &&
+          b.maxY <= box.maxY
+        );
+      });
+      const ops = d.additive ? [...this.selection, ...inside] : inside;
+      this.setSelection([...new Set(ops)]);
+      return;
+    }
+
+    const t = this.dragTransform();
+    this.selectDrag = null;
+    const moved =
+      t.dx || t.dy || (d.mode === "scale" && (t.sx !== 1 || t.sy !== 1));
+    if (moved) {
+      this.pendingTransform = t;
+      this.emit("transform", {
+        targets: this.selection.map((op) => op.id),
+        ...t,
+      });
+    }
+    this.renderTemp();
+  }
+
+  // Preview of the edit being dragged (or awaiting the server), outlines
+  // and corner handles; the marquee while dragging one
+  drawSelection() {
+    const ctx = this.tempCtx;
+    const drag = this.selectDrag;
+
+    if (drag && drag.mode === "marquee") {
+      this.strokeScreenBox(boxOf(drag.start, drag.p), [4, 4]);
+    }
+    if (!this.selection.length) return;
+
+    const t =
+      drag && drag.mode !== "marquee"
+        ? this.dragTransform()
+        : this.pendingTransform;
+    let ops = this.selection;
+    if (t) {
+      ops = ops.map((op) => BoardTransform.transformOp(op, t));
+      ctx.save();
+      ctx.globalAlpha = 0.6;
+      for (const op of ops) this.drawOp(op, ctx);
+      ctx.restore();
+    }
+
+    for (const op of ops) this.strokeScreenBox(this.opBounds(op), [2, 3]);
+    const box = this.selectionBounds(ops);
+    this.strokeScreenBox(box, []);
+
+    ctx.fillStyle = "#ffffff";
+    for (const [x, y] of boxCorners(box)) {
+      const at = this.view.toScreen({ x, y });
+      const size = SELECT_HANDLE_PX * 2;
+      ctx.fillRect(
+        at.x - SELECT_HANDLE_PX,
+        at.y - SELECT_HANDLE_PX,
+        size,
+        size
+      );
+      ctx.strokeRect(
+        at.x - SELECT_HANDLE_PX,
+        at.y - SELECT_HANDLE_PX,
+        size,
+        size
+      );
+    }
+  }
+
+  // Outline a world box on temp-canvas with a 1px screen-space line
+  strokeScreenBox(b, dash) {
+    const ctx = this.tempCtx;
+    const tl = this.view.toScreen({ x: b.minX, y: b.minY });
+    const br = this.view.toScreen({ x: b.maxX, y: b.maxY });
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "#1a73e8";
+    ctx.setLineDash(dash);
+    ctx.strokeRect(tl.x, tl.y, br.x - tl.x, br.y - tl.y);
+    ctx.setLineDash([]);
+  }
+
+  // -------------------------
+  // PNG export: render ops at 1:1 into offscreen canvases sized to
+  // the content bounds (independent of the current zoom/pan), one per
+  // visible layer
+  // -------------------------
+  exportPNG(ops, layers, background = "#ffffff") {
+    const groups = BoardLayers.byLayer(ops, layers);
+    const b = BoardExport.getBounds(groups.flatMap((group) => group.ops));
+    const view = new Viewport();
+    view.panBy(-b.x, -b.y);
+
+    const out = this.renderLayers(groups, view, b.width, b.height, background);
+    return new Promise((resolve) => out.toBlob(resolve, "image/png"));
+  }
+
+  // The layer groups of byLayer() seen through `view`, stacked over
+  // `background` on a new canvas of width × height pixels
+  renderLayers(groups, view, width, height, background) {
+    const out = document.createElement("canvas");
+    out.width = width;
+    out.height = height;
+    const ctx = out.getContext("2d");
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+
+    // Erasers punch through to transparent → each layer is painted on
+    // its own canvas and stacked over the background
+    for (const group of groups) {
+      const layer = document.createElement("canvas");
+      layer.width = width;
+      layer.height = height;
+      for (const op of group.ops) {
+        this.drawOp(op, layer.getContext("2d"), view);
+      }
+      ctx.drawImage(layer, 0, 0);
+    }
+    return out;
+  }
+
+  // -------------------------
+  // Paint bucket: flood the board as it looks (visible layers of `ops`
+  // over white, like the PNG export) from world point `p` and emit the
+  // area as a fill op. The board is sampled over its own bounds at a
+  // fixed resolution, never through the view, so the same click fills
+  // the same area at any zoom or window size. Returns false when `p`
+  // isn't inside a closed area.
+  // -------------------------
+  fillAt(p, ops) {
+    const groups = BoardLayers.byLayer(ops, this.layers);
+    const b = BoardExport.getBounds(groups.flatMap((group) => group.ops));
+
+    // an area too intricate for one op is sampled again, coarser
+    let cell = BoardFill.cellSize(b.width, b.height);
+    for (;;) {
+      const cols = Math.ceil(b.width / cell);
+      const rows = Math.ceil(b.height / cell);
+      const view = new Viewport();
+      view.scale = 1 / cell;
+      view.panBy(-b.x / cell, -b.y / cell);
+
+      const board = this.renderLayers(groups, view, cols, rows, "#ffffff");
+      const pixels = board.getContext("2d").getImageData(0, 0, cols, rows).data;
+      const mask = BoardFill.flood(
+        pixels,
+        cols,
+        rows,
+        Math.floor((p.x - b.x) / cell),
+        Math.floor((p.y - b.y) / cell),
+        this.fillTolerance
+      );
+      if (!mask) return false;
+
+      const rects = BoardFill.toRects(
+        BoardFill.dilate(mask, cols, rows),
+        cols,
+        rows
+      );
+      if (rects.length / 4 > BoardFill.MAX_RECTS) {
+        cell *= 2;
+        continue;
+      }
+
+      this.emit("stroke-complete", {
+        type: "fill",
+        x: b.x,
+        y: b.y,
+        w: cols * cell,
+        h: rows * cell,
+        cols,
+        rows,
+        rects,
+        color: this.color,
+        clientId: newStrokeId(),
+      });
+      return true;
+    }
+  }
+
+  // -------------------------
+  // Text editor (textarea overlay)
+  // -------------------------
+
+  // `replaces` is set when re-editing an existing text op
+  openTextEditor({ x, y, text = "", fontSize, color, replaces = null }) {
+    this.closeTextEditor(false);
+
+    // x/y are world coordinates; the textarea sits at the screen position
+    const at = this.view.toScreen({ x, y });
+    const el = document.createElement("textarea");
+    el.className = "text-editor";
+    el.value = text;
+    Object.assign(el.style, {
+      left: `${at.x}px`,
+      top: `${at.y}px`,
+      color,
+      font: `${fontSize * this.view.scale}px ${TEXT_FONT}`,
+      lineHeight: TEXT_LINE_HEIGHT,
+    });
+
+    el.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeTextEditor(false);
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        this.closeTextEditor(true);
+      }
+    });
+    el.addEventListener("blur", () => this.closeTextEditor(true));
+
+    this.main.parentElement.append(el);
+    this.textEditor = { el, x, y, fontSize, color, replaces, original: text };
+    setTimeout(() => el.focus());
+  }
+
+  closeTextEditor(commit) {
+    const editor = this.textEditor;
+    if (!editor) return;
+
+    // clear first: removing the element fires blur → re-entry
+    this.textEditor = null;
+    editor.el.remove();
+
+    const text = editor.el.value;
+    if (!commit || !text.trim() || text === editor.original) {
+      this.emit("text-cancel", editor);
+      return;
+    }
+
+    const op = {
+      type: "text",
+      x: editor.x,
+      y: editor.y,
+      text,
+      color: editor.color,
+      fontSize: editor.fontSize,
+    };
+    if (editor.replaces) op.replaces = editor.replaces;
+
+    this.emit("stroke-complete", op);
+  }
+
+  // Remote cursor rendering (x/y arrive in world coordinates)
+  updateCursor(cursor) {
+    this.cursors.update(cursor);
+  }
+
+  removeCursor(socketId) {
+    this.cursors.remove(socketId);
+  }
+
+  // Comment markers on the cursor layer ([{ id, x, y, label, active }],
+  // world coordinates)
+  setPins(pins) {
+    this.cursors.setPins(pins);
+  }
+
+  pinAt(p) {
+    return this.cursors.pinAt(this.view.toScreen(p));
+  }
+
+  // Pan so world point `p` is in the middle of the view
+  centerOn(p) {
+    const at = this.view.toScreen(p);
+    this.view.panBy(this.main.width / 2 - at.x, this.main.height / 2 - at.y);
+    this.viewChanged();
+  }
+
+  clearCursors() {
+    this.cursors.clear();
+  }
+}
+
+function newStrokeId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Math.random().toString(36).substring(2) + Date.now().toString(36);
+}
+
+// Start a canvas path from { start, parts } (see shared/stroke.js)
+function tracePath(ctx, { start, parts }) {
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  for (const p of parts) {
+    if (p.cx === undefined) ctx.lineTo(p.x, p.y);
+    else ctx.quadraticCurveTo(p.cx, p.cy, p.x, p.y);
+  }
+}
+
+function unionBox(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY),
+  };
+}
+
+// Box spanned by two corner points
+function boxOf(a, b) {
+  return {
+    minX: Math.min(a.x, b.x),
+    minY: Math.min(a.y, b.y),
+    maxX: Math.max(a.x, b.x),
+    maxY: Math.max(a.y, b.y),
+  };
+}
+
+function boxCorners(b) {
+  return [
+    [b.minX, b.minY],
+    [b.maxX, b.minY],
+    [b.minX, b.maxY],
+    [b.maxX, b.maxY],
+  ];
+}
+
+// Distance from point p to the segment a–b
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const along = len2 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+  const t = Math.min(1, Math.max(0, along));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Shift-drag: square/circle for boxes, 45° steps for lines and arrows
+function constrain(tool, start, p) {
+  const dx = p.x - start.x;
+  const dy = p.y - start.y;
+
+  if (tool === "rect" || tool === "ellipse") {
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return {
+      x: start.x + size * Math.sign(dx || 1),
+      y: start.y + size * Math.sign(dy || 1),
+    };
+  }
+
+  const step = Math.PI / 4;
+  const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+  const len = Math.hypot(dx, dy);
+  return {
+    x: start.x + len * Math.cos(angle),
+    y: start.y + len * Math.sin(angle),
+  };
 }
 
 window.CanvasSystem = CanvasSystem;
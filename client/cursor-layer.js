@@ -0,0 +1,176 @@
+// Remote cursor layer (cursor-canvas)
+// Tracks every remote participant by socketId, eases each cursor toward
+// its latest reported position, labels it with the user's name and
+// fades it out once the user stops moving.
+// Also marks where the room's open comments are pinned (under the
+// cursors); the layer takes no pointer events, so markers never get in
+// the way of drawing.
+
+const CURSOR_EASE_MS = 60; // time constant of the position smoothing
+const CURSOR_IDLE_MS = 3000; // start fading after this long without updates
+const CURSOR_FADE_MS = 1000; // fully transparent this long after that
+const PIN_RADIUS = 10; // comment markers (screen px, sit above their point)
+
+class CursorLayer {
+  constructor(canvas, view) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.view = view;
+
+    // socketId → { x, y, tx, ty, username, color, updatedAt }
+    // (x, y) is the drawn position, (tx, ty) the target, both in world space
+    this.cursors = new Map();
+    // comment markers: [{ id, x, y, label, active }] in world space
+    this.pins = [];
+    this.frame = null;
+    this.lastTick = 0;
+  }
+
+  update({ socketId, x, y, username, color }) {
+    const now = performance.now();
+    const c = this.cursors.get(socketId);
+
+    if (!c) {
+      // first sighting: appear in place instead of flying in from 0,0
+      this.cursors.set(socketId, {
+        x,
+        y,
+        tx: x,
+        ty: y,
+        username,
+        color,
+        updatedAt: now,
+      });
+    } else {
+      Object.assign(c, { tx: x, ty: y, username, color, updatedAt: now });
+    }
+
+    this.schedule();
+  }
+
+  remove(socketId) {
+    if (this.cursors.delete(socketId)) this.render();
+  }
+
+  clear() {
+    this.cursors.clear();
+    this.render();
+  }
+
+  setPins(pins) {
+    this.pins = pins;
+    this.render();
+  }
+
+  // Screen position of a pin's head (its tip is the pinned point)
+  pinHead(pin) {
+    const p = this.view.toScreen(pin);
+    return { x: p.x, y: p.y - PIN_RADIUS * 2 };
+  }
+
+  // The pin under screen point `p`, topmost first, or null
+  pinAt(p) {
+    for (let i = this.pins.length - 1; i >= 0; i--) {
+      const head = this.pinHead(this.pins[i]);
+      if (Math.hypot(p.x - head.x, p.y - head.y) <= PIN_RADIUS + 2) {
+        return this.pins[i];
+      }
+    }
+    return null;
+  }
+
+  // -------------------------
+  // Animation loop (runs only while something moves or fades)
+  // -------------------------
+  schedule() {
+    if (this.frame) return;
+    this.lastTick = performance.now();
+    this.frame = requestAnimationFrame((t) => this.tick(t));
+  }
+
+  tick(now) {
+    this.frame = null;
+    const dt = Math.max(0, now - this.lastTick);
+    this.lastTick = now;
+
+    const k = 1 - Math.exp(-dt / CURSOR_EASE_MS);
+    let busy = false;
+
+    for (const c of this.cursors.values()) {
+      c.x += (c.tx - c.x) * k;
+      c.y += (c.ty - c.y) * k;
+
+      const moving = Math.abs(c.tx - c.x) + Math.abs(c.ty - c.y) > 0.1;
+      const visible = now - c.updatedAt < CURSOR_IDLE_MS + CURSOR_FADE_MS;
+      if (moving || visible) busy = true;
+    }
+
+    this.render(now);
+    if (busy) this.frame = requestAnimationFrame((t) => this.tick(t));
+  }
+
+  alpha(c, now) {
+    const idle = now - c.updatedAt - CURSOR_IDLE_MS;
+    if (idle <= 0) return 1;
+    return Math.max(0, 1 - idle / CURSOR_FADE_MS);
+  }
+
+  render(now = performance.now()) {
+    const ctx = this.ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    ctx.font = "12px Arial, sans-serif";
+    ctx.textBaseline = "middle";
+
+    for (const pin of this.pins) this.renderPin(pin);
+
+    for (const c of this.cursors.values()) {
+      const alpha = this.alpha(c, now);
+      if (alpha === 0) continue;
+
+      // cursors stay the same size on screen at any zoom
+      const p = this.view.toScreen(c);
+      ctx.globalAlpha = alpha;
+
+      ctx.fillStyle = c.color;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (c.username) {
+        const w = ctx.measureText(c.username).width + 8;
+        ctx.fillRect(p.x + 8, p.y + 2, w, 16);
+        ctx.fillStyle = "#fff";
+        ctx.fillText(c.username, p.x + 12, p.y + 10);
+      }
+    }
+
+    ctx.globalAlpha = 1;
+  }
+
+  // A numbered balloon whose tip touches the pinned point
+  renderPin(pin) {
+    const ctx = this.ctx;
+    const tip = this.view.toScreen(pin);
+    const head = this.pinHead(pin);
+
+    ctx.fillStyle = pin.active ? "#e8590c" : "#f5b301";
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = pin.active ? 2 : 1;
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(head.x - PIN_RADIUS * 0.6, head.y + PIN_RADIUS * 0.8);
+    ctx.arc(head.x, head.y, PIN_RADIUS, Math.PI * 0.7, Math.PI * 0.3);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = "#000";
+    ctx.textAlign = "center";
+    ctx.fillText(pin.label, head.x, head.y);
+    ctx.textAlign = "start";
+  }
+}
+
+window.CursorLayer = CursorLayer;
@@ -1,5 +1,5 @@
 // Fully upgraded main.js aligned with CanvasSystem + WebSocketClient
-// Handles: room join, tools, batching mode, users list, latency, FPS, undo/redo, canvas wiring
+// Handles: room join, tools, batching mode, users list, layers, latency, FPS, undo/redo, playback, selection, chat & comments, canvas wiring
 
 window.addEventListener("load", () => {
   console.log("Main.js loaded");
@@ -10,6 +10,7 @@ window.addEventListener("load", () => {
 
   const canvas = new CanvasSystem();
   const ws = new WebSocketClient(window.BACKEND_URL || window.location.origin);
+  const board = new BoardState();
 
   // -------------------------
   // 2. UI ELEMENTS
@@ -17,21 +18,67 @@ window.addEventListener("load", () => {
 
   const usernameInput = document.getElementById("username");
   const roomInput = document.getElementById("roomId");
+  const roomPassword = document.getElementById("roomPassword");
   const joinBtn = document.getElementById("joinBtn");
+  const roleBadge = document.getElementById("roleBadge");
+
+  const toolbar = document.querySelector(".toolbar");
+  const canvasContainer = document.querySelector(".canvas-container");
 
   const colorPicker = document.getElementById("colorPicker");
   const strokeWidth = document.getElementById("strokeWidth");
   const strokeValue = document.getElementById("strokeValue");
-  const brushBtn = document.getElementById("brushBtn");
-  const eraserBtn = document.getElementById("eraserBtn");
+  const toolButtons = document.querySelectorAll(".toolbar .tool");
+  const smoothStroke = document.getElementById("smoothStroke");
+  const simplifyTolerance = document.getElementById("simplifyTolerance");
+  const fillTolerance = document.getElementById("fillTolerance");
+  const fillShape = document.getElementById("fillShape");
+  const fontSize = document.getElementById("fontSize");
+  const imageBtn = document.getElementById("imageBtn");
+  const imageFile = document.getElementById("imageFile");
+  const commentBtn = document.getElementById("commentBtn");
+  const zoomReset = document.getElementById("zoomReset");
   const undoBtn = document.getElementById("undoBtn");
   const redoBtn = document.getElementById("redoBtn");
   const batchMode = document.getElementById("batchMode");
   const usersList = document.getElementById("usersList");
+  const layersList = document.getElementById("layersList");
+  const addLayerBtn = document.getElementById("addLayerBtn");
+  const chatLog = document.getElementById("chatLog");
+  const chatForm = document.getElementById("chatForm");
+  const chatInput = document.getElementById("chatInput");
+  const showResolved = document.getElementById("showResolved");
+  const commentsList = document.getElementById("commentsList");
+
+  const accessPanel = document.getElementById("accessPanel");
+  const accessStatus = document.getElementById("accessStatus");
+  const defaultRole = document.getElementById("defaultRole");
+  const newPassword = document.getElementById("newPassword");
+  const setPasswordBtn = document.getElementById("setPasswordBtn");
+  const inviteEditorBtn = document.getElementById("inviteEditorBtn");
+  const inviteViewerBtn = document.getElementById("inviteViewerBtn");
+  const inviteLink = document.getElementById("inviteLink");
+  const clearBoardBtn = document.getElementById("clearBoardBtn");
+  const undoDrawingBtn = document.getElementById("undoDrawingBtn");
+  const bannedList = document.getElementById("bannedList");
+
+  const exportFormat = document.getElementById("exportFormat");
+  const saveBtn = document.getElementById("saveBtn");
+  const loadBtn = document.getElementById("loadBtn");
+  const importFile = document.getElementById("importFile");
+
+  const replayBtn = document.getElementById("replayBtn");
+  const playbackBar = document.getElementById("playbackBar");
+  const playPauseBtn = document.getElementById("playPauseBtn");
+  const timeline = document.getElementById("timeline");
+  const playbackSpeed = document.getElementById("playbackSpeed");
+  const playbackInfo = document.getElementById("playbackInfo");
+  const exitPlaybackBtn = document.getElementById("exitPlaybackBtn");
 
   const connectionStatus = document.getElementById("connectionStatus");
   const latencyDom = document.getElementById("latency");
   const fpsDom = document.getElementById("fps");
+  const noticeDom = document.getElementById("notice");
 
   // Track FPS
   let lastFrame = performance.now();
@@ -50,6 +97,10 @@ window.addEventListener("load", () => {
   // 3. JOIN ROOM
   // -------------------------
 
+  // Invite links look like ?room=<roomId>&invite=<token>
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("room")) roomInput.value = params.get("room");
+
   joinBtn.addEventListener("click", () => {
     const name = usernameInput.value.trim();
     const room = roomInput.value.trim();
@@ -64,42 +115,597 @@ window.addEventListener("load", () => {
       return;
     }
 
+    // WebSocketClient (re)joins on every connect, so this works for
+    // the first click, room switches and automatic reconnects alike
+    // only a closed room looks at these
+    const credentials = {};
+    if (roomPassword.value) credentials.password = roomPassword.value;
+    if (params.get("invite") && room === params.get("room")) {
+      credentials.invite = params.get("invite");
+    }
+
+    if (replay) stopReplay();
+    canvas.clearCursors();
+    ws.joinRoom(room, name, credentials);
     ws.connect();
-    ws.on("connection", ({ status }) => {
-      if (status === "connected") {
-        ws.joinRoom(room, name);
-      }
-    });
+  });
+
+  // Let in → the room remembers us, the password isn't needed again
+  ws.on("identity", () => {
+    roomPassword.value = "";
   });
 
   // -------------------------
   // 4. TOOL PANEL
   // -------------------------
 
-  colorPicker.addEventListener("change", (e) =>
-    canvas.colorSet(e.target.value)
-  );
+  // With a selection, picking a color also recolors it
+  colorPicker.addEventListener("change", (e) => {
+    canvas.colorSet(e.target.value);
+    if (canvas.tool === "select" && canvas.selection.length) {
+      ws.emitTransform({
+        targets: canvas.selection.map((op) => op.id),
+        color: e.target.value,
+      });
+    }
+  });
   strokeWidth.addEventListener("input", (e) => {
     const w = +e.target.value;
     canvas.widthSet(w);
     strokeValue.textContent = w;
   });
 
-  brushBtn.addEventListener("click", () => {
-    canvas.toolSet("brush");
-    brushBtn.classList.add("active");
-    eraserBtn.classList.remove("active");
-  });
+  smoothStroke.addEventListener("change", (e) =>
+    canvas.smoothSet(e.target.checked)
+  );
+  simplifyTolerance.addEventListener("change", (e) =>
+    canvas.simplifySet(+e.target.value)
+  );
+  fillTolerance.addEventListener("change", (e) =>
+    canvas.fillToleranceSet(+e.target.value)
+  );
+  fillShape.addEventListener("change", (e) => canvas.fillSet(e.target.checked));
+  fontSize.addEventListener("change", (e) =>
+    canvas.fontSizeSet(+e.target.value)
+  );
+
+  // Every tool button carries its tool name in data-tool
+  for (const btn of toolButtons) {
+    btn.addEventListener("click", () => {
+      canvas.toolSet(btn.dataset.tool);
+      for (const other of toolButtons) {
+        other.classList.toggle("active", other === btn);
+        other.setAttribute("aria-pressed", other === btn);
+      }
+    });
+  }
 
-  eraserBtn.addEventListener("click", () => {
-    canvas.toolSet("eraser");
-    eraserBtn.classList.add("active");
-    brushBtn.classList.remove("active");
+  zoomReset.addEventListener("click", () => canvas.resetView());
+  canvas.on("view-change", (view) => {
+    zoomReset.textContent = `${Math.round(view.scale * 100)}%`;
   });
 
   undoBtn.addEventListener("click", () => ws.emitUndo());
   redoBtn.addEventListener("click", () => ws.emitRedo());
 
+  // Enabled only while the server says there is something to undo/redo
+  // (and never for viewers)
+  let undoState = null;
+  function setUndoState(state) {
+    undoState = state;
+    undoBtn.disabled = !state.canUndo || isViewer();
+    redoBtn.disabled = !state.canRedo || isViewer();
+  }
+  setUndoState({ canUndo: false, canRedo: false });
+  ws.on("undo-state", setUndoState);
+
+  // -------------------------
+  // 4b. EXPORT / IMPORT
+  // -------------------------
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  saveBtn.addEventListener("click", async () => {
+    // what the board shows: visible layers, bottom first
+    const layers = board.layers;
+    const groups = BoardLayers.byLayer(board.getActiveOperations(), layers);
+    const ops = groups.flatMap((group) => group.ops);
+    const name = roomInput.value.trim() || "board";
+    const format = exportFormat.value;
+
+    if (format === "png") {
+      download(await canvas.exportPNG(ops, layers), `${name}.png`);
+    } else if (format === "svg") {
+      // images as the data: URLs they were loaded from
+      const imageHref = (op) => {
+        const img = canvas.images.get(op.imageId);
+        return img && img.src;
+      };
+      const svg = BoardExport.toSVG(ops, { layers, imageHref });
+      download(new Blob([svg], { type: "image/svg+xml" }), `${name}.svg`);
+    } else {
+      const json = BoardExport.toJSON(ops, name, layers);
+      const doc = JSON.stringify(json, null, 2);
+      download(new Blob([doc], { type: "application/json" }), `${name}.json`);
+    }
+  });
+
+  loadBtn.addEventListener("click", () => {
+    if (!ws.connected) {
+      alert("Join a room before importing");
+      return;
+    }
+    importFile.click();
+  });
+
+  importFile.addEventListener("change", async () => {
+    const file = importFile.files[0];
+    importFile.value = "";
+    if (!file) return;
+
+    try {
+      const doc = JSON.parse(await file.text());
+      BoardExport.parseJSON(doc); // fail fast before uploading
+      ws.emitImport(doc, activeLayer().id);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
+  });
+
+  ws.on("rejected", ({ event, reason, code }) => {
+    if (event === "import") alert(`Import failed: ${reason}`);
+    if (event === "join") {
+      alert(`Could not join: ${reason}`);
+      if (code === "password") roomPassword.focus();
+    }
+    if (event === "access") alert(`Access change failed: ${reason}`);
+    if (event === "layer") alert(`Layer change failed: ${reason}`);
+    // a drawing that didn't make it (one shown while offline goes away)
+    if (event === "stroke-complete") {
+      showNotice(`Not saved: ${reason}`);
+      render();
+    }
+    if (event === "chat") alert(`Message not sent: ${reason}`);
+    if (event === "comment") alert(`Comment failed: ${reason}`);
+    if (event === "transform" || event === "delete") {
+      canvas.setSelection(canvas.selection); // drop the pending preview
+      alert(`Edit failed: ${reason}`);
+    }
+  });
+
+  // -------------------------
+  // 4c. LAYERS
+  // -------------------------
+
+  // The layer this client draws on (local choice); falls back to the
+  // top layer when unset or deleted
+  let activeLayerId = null;
+
+  function activeLayer() {
+    const layers = board.layers;
+    return (
+      layers.find((layer) => layer.id === activeLayerId) ||
+      layers[layers.length - 1]
+    );
+  }
+
+  // Viewers, or a hidden or locked active layer → nothing can be drawn
+  function updateReadOnly() {
+    const layer = activeLayer();
+    canvas.setReadOnly(
+      !!replay || isViewer() || !layer.visible || layer.locked
+    );
+  }
+
+  // (viewers can still pick the layer they look at, but not change any)
+  function layerButton(label, title, onClick, disabled = false) {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled || isViewer();
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  // Listed top layer first, like the stacking on screen
+  function renderLayers() {
+    const layers = board.layers;
+    const active = activeLayer();
+    layersList.replaceChildren();
+
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers[i];
+      const li = document.createElement("li");
+      li.classList.toggle("active", layer === active);
+      li.classList.toggle("hidden-layer", !layer.visible);
+
+      // names are user input → text nodes only, never innerHTML
+      const name = document.createElement("span");
+      name.className = "layer-name";
+      name.textContent = layer.name;
+      name.title = "Click to draw on this layer, double-click to rename";
+      name.addEventListener("click", () => {
+        activeLayerId = layer.id;
+        renderLayers();
+        updateReadOnly();
+      });
+      name.addEventListener("dblclick", () => {
+        if (isViewer()) return;
+        const newName = prompt("Layer name", layer.name);
+        if (newName && newName.trim()) {
+          ws.emitLayer({ action: "rename", layerId: layer.id, name: newName });
+        }
+      });
+
+      const set = (change) =>
+        ws.emitLayer({ action: "set", layerId: layer.id, ...change });
+      const move = (index) =>
+        ws.emitLayer({ action: "move", layerId: layer.id, index });
+
+      li.append(
+        name,
+        layerButton(layer.visible ? "Hide" : "Show", "Toggle visibility", () =>
+          set({ visible: !layer.visible })
+        ),
+        layerButton(layer.locked ? "Unlock" : "Lock", "Toggle lock", () =>
+          set({ locked: !layer.locked })
+        ),
+        layerButton("↑", "Move up", () => move(i + 1), i === layers.length - 1),
+        layerButton("↓", "Move down", () => move(i - 1), i === 0),
+        layerButton(
+          "✕",
+          "Delete layer",
+          () => {
+            if (confirm(`Delete "${layer.name}" and everything on it?`)) {
+              ws.emitLayer({ action: "delete", layerId: layer.id });
+            }
+          },
+          layers.length === 1
+        )
+      );
+      layersList.append(li);
+    }
+  }
+
+  addLayerBtn.addEventListener("click", () => {
+    if (!ws.connected) {
+      alert("Join a room before adding layers");
+      return;
+    }
+    ws.emitLayer({
+      action: "create",
+      name: `Layer ${board.layers.length + 1}`,
+    });
+  });
+  renderLayers();
+
+  // After any change to board.layers
+  function layersChanged() {
+    renderLayers();
+    updateReadOnly();
+    if (!replay) render();
+  }
+
+  // -------------------------
+  // 4d. ROLES & ROOM ACCESS
+  // -------------------------
+
+  const ROLE_NAMES = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+
+  function isViewer() {
+    return ws.role === "viewer";
+  }
+
+  // Viewers only watch: drawing tools, undo/redo, import and layer
+  // changes are switched off (the server refuses them anyway); zooming,
+  // panning, chat and comments still work
+  function applyRole() {
+    const open = new Set([zoomReset, commentBtn]);
+    for (const control of toolbar.querySelectorAll("button, input, select")) {
+      control.disabled = isViewer() && !open.has(control);
+    }
+    loadBtn.disabled = addLayerBtn.disabled = isViewer();
+    setUndoState(undoState);
+
+    roleBadge.hidden = !ws.role;
+    roleBadge.textContent = ROLE_NAMES[ws.role] || "";
+    accessPanel.hidden = !ws.isOwner;
+    if (!ws.isOwner) inviteLink.hidden = true; // it was for another room
+
+    renderLayers();
+    updateReadOnly();
+  }
+  ws.on("role", applyRole);
+
+  // The owner picks everyone else's role right in the user list
+  function roleSelect(user) {
+    const select = document.createElement("select");
+    select.setAttribute("aria-label", `Role of ${user.username}`);
+    for (const role of ["editor", "viewer"]) {
+      select.add(new Option(ROLE_NAMES[role], role, false, role === user.role));
+    }
+    select.addEventListener("change", () =>
+      ws.emitAccess({ action: "role", userId: user.id, role: select.value })
+    );
+    return select;
+  }
+
+  // Kick / ban / remove-drawings buttons the owner gets next to a user
+  function moderationButtons(user) {
+    const button = (label, title, action, question) => {
+      const btn = document.createElement("button");
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener("click", () => {
+        if (confirm(question)) ws.emitModerate({ action, userId: user.id });
+      });
+      return btn;
+    };
+    return [
+      button(
+        "Kick",
+        "Remove from the room (they can join again)",
+        "kick",
+        `Remove ${user.username} from the room?`
+      ),
+      button(
+        "Ban",
+        "Remove and keep out of the room",
+        "ban",
+        `Ban ${user.username} from this room?`
+      ),
+      button(
+        "Erase",
+        "Remove all their drawings (you can undo this)",
+        "remove-user",
+        `Remove everything ${user.username} drew?`
+      ),
+    ];
+  }
+
+  // Sent to the owner on join and after each change they make
+  ws.on("access", ({ closed, defaultRole: role, invite, banned }) => {
+    accessStatus.textContent = closed
+      ? "Closed: newcomers need the password or an invite link"
+      : "Open to anyone who knows the room name";
+    defaultRole.value = role;
+
+    if (invite) {
+      const link = new URL(window.location.href);
+      link.search = new URLSearchParams({
+        room: ws.room.roomId,
+        invite: invite.token,
+      });
+      inviteLink.value = link.href;
+      inviteLink.title = `Joins as ${ROLE_NAMES[invite.role]}`;
+      inviteLink.hidden = false;
+      inviteLink.select();
+    }
+
+    bannedList.replaceChildren();
+    for (const { userId, username } of banned) {
+      const li = document.createElement("li");
+      const unban = document.createElement("button");
+      unban.textContent = "Unban";
+      unban.addEventListener("click", () =>
+        ws.emitModerate({ action: "unban", userId })
+      );
+      li.append(`${username || "Someone"} (banned) `, unban);
+      bannedList.append(li);
+    }
+  });
+
+  defaultRole.addEventListener("change", () =>
+    ws.emitAccess({ action: "default-role", role: defaultRole.value })
+  );
+
+  // An empty password opens the room again
+  setPasswordBtn.addEventListener("click", () => {
+    ws.emitAccess({ action: "password", password: newPassword.value });
+    newPassword.value = "";
+  });
+
+  inviteEditorBtn.addEventListener("click", () =>
+    ws.emitAccess({ action: "invite", role: "editor" })
+  );
+  inviteViewerBtn.addEventListener("click", () =>
+    ws.emitAccess({ action: "invite", role: "viewer" })
+  );
+
+  clearBoardBtn.addEventListener("click", () => {
+    if (confirm("Clear the board for everyone?")) {
+      ws.emitModerate({ action: "clear" });
+    }
+  });
+
+  // Undoes whatever put the drawing there (it, or its latest edit)
+  undoDrawingBtn.addEventListener("click", () => {
+    if (canvas.tool !== "select" || canvas.selection.length !== 1) {
+      alert("Select one drawing with the select tool first");
+      return;
+    }
+    ws.emitModerate({
+      action: "undo-stroke",
+      targetId: canvas.selection[0].id,
+    });
+  });
+
+  // Everyone sees what the owner did for a few seconds
+  const MODERATION_NOTICES = {
+    kick: (who) => `${who} was removed from the room`,
+    ban: (who) => `${who} was banned from the room`,
+    unban: (who) => `${who} may join again`,
+    "remove-user": (who, n) =>
+      `The owner removed ${n.count} drawings by ${who}`,
+    clear: () => "The owner cleared the board",
+    "undo-stroke": () => "The owner undid a drawing",
+  };
+  let noticeTimer = null;
+
+  function showNotice(text) {
+    noticeDom.textContent = text;
+    noticeDom.hidden = false;
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => (noticeDom.hidden = true), 5000);
+  }
+
+  ws.on("moderation", (notice) => {
+    const who = notice.username || "Someone";
+    showNotice(MODERATION_NOTICES[notice.action](who, notice));
+
+    const removed = notice.action === "kick" || notice.action === "ban";
+    if (removed && notice.userId === ws.userId) {
+      ws.leaveRoom();
+      canvas.clearCursors();
+      alert(
+        notice.action === "ban"
+          ? "The owner banned you from this room"
+          : "The owner removed you from this room"
+      );
+    }
+  });
+
+  // -------------------------
+  // 4e. PLAYBACK (time travel through the room's log)
+  // -------------------------
+
+  // While a replay is open the canvas shows it instead of the live
+  // board; live updates keep landing in `board` and reappear on exit
+  let replay = null;
+
+  // Repaint the board being shown (live or replay) from scratch
+  function render() {
+    const shown = replay ? replay.board : board;
+    canvas.setLayers(shown.layers);
+    canvas.redraw(shown.getActiveOperations());
+    if (!replay) syncSelection();
+  }
+
+  replayBtn.addEventListener("click", async () => {
+    const room = roomInput.value.trim();
+    if (!room) {
+      alert("Enter room id");
+      return;
+    }
+
+    let history;
+    try {
+      const base = window.BACKEND_URL || window.location.origin;
+      const res = await fetch(
+        `${base}/rooms/${encodeURIComponent(room)}/history`,
+        { headers: authHeaders() }
+      );
+      if (!res.ok) {
+        throw new Error(res.status === 404 ? "Room not found" : res.statusText);
+      }
+      history = await res.json();
+    } catch (err) {
+      alert(`Replay failed: ${err.message}`);
+      return;
+    }
+
+    startReplay(history);
+  });
+
+  function startReplay(history) {
+    if (replay) replay.pause();
+    replay = new Playback(history);
+    replay.setSpeed(+playbackSpeed.value);
+
+    replay.on("frame", ({ position, added, redraw }) => {
+      if (redraw) render();
+      else for (const op of added) canvas.addOp(op);
+
+      timeline.value = position;
+      playbackInfo.textContent = describeStep(position);
+    });
+    replay.on("state", ({ playing }) => {
+      playPauseBtn.textContent = playing ? "Pause" : "Play";
+    });
+
+    timeline.max = replay.length;
+    playbackBar.hidden = false;
+    updateReadOnly();
+    canvas.clearAllLive(); // previews belong to the live board
+    render();
+    replay.seek(0);
+    replay.play();
+  }
+
+  function stopReplay() {
+    replay.pause();
+    replay = null;
+    playbackBar.hidden = true;
+    updateReadOnly();
+    render();
+  }
+
+  // "12 / 80 · Ana drew a rect · 14:03:12"
+  function describeStep(position) {
+    const step = `${position} / ${replay.length}`;
+    const current = replay.current();
+    if (!current) return step;
+
+    const { op, author } = current;
+    const who = (author && author.username) || "Someone";
+    const at = new Date(op.timestamp).toLocaleTimeString();
+    return `${step} · ${who} ${describeOp(op)} · ${at}`;
+  }
+
+  const LAYER_CHANGES = {
+    create: "added a layer",
+    rename: "renamed a layer",
+    set: "changed a layer",
+    move: "moved a layer",
+    delete: "deleted a layer",
+  };
+
+  function describeOp(op) {
+    if (op.moderation === "clear") return "cleared the board";
+    if (op.moderation === "remove-user") {
+      return `removed ${count(op.targets)} by someone else`;
+    }
+    if (op.moderation === "undo-stroke") return "undid someone's drawing";
+    if (op.type === "layers") return LAYER_CHANGES[op.action];
+    if (op.type === "transform") return `changed ${count(op.targets)}`;
+    if (op.type === "delete") return `deleted ${count(op.targets)}`;
+    if (op.type === "undo") return "undid a change";
+    if (op.type === "redo") return "redid a change";
+    if (op.type === "text") return op.replaces ? "edited text" : "wrote text";
+    if (op.type === "shape") return `drew a ${op.tool}`;
+    if (op.type === "fill") return "filled an area";
+    if (op.type === "image") return "added an image";
+    return op.tool === "eraser" ? "erased" : "drew";
+  }
+
+  function count(targets) {
+    return targets.length === 1 ? "a drawing" : `${targets.length} drawings`;
+  }
+
+  playPauseBtn.addEventListener("click", () => {
+    if (replay.playing) replay.pause();
+    else replay.play();
+  });
+
+  // Scrubbing takes over from the clock
+  timeline.addEventListener("input", () => {
+    replay.pause();
+    replay.seek(+timeline.value);
+  });
+
+  playbackSpeed.addEventListener("change", () => {
+    if (replay) replay.setSpeed(+playbackSpeed.value);
+  });
+
+  exitPlaybackBtn.addEventListener("click", () => stopReplay());
+
   // -------------------------
   // 5. Canvas → WS
   // -------------------------
@@ -110,42 +716,530 @@ window.addEventListener("load", () => {
   });
 
   canvas.on("stroke-complete", (op) => {
+    // edits stay on the layer of what they replace
+    const target = op.replaces && board.get(op.replaces);
+    op.layerId = target ? BoardLayers.layerOf(target) : activeLayer().id;
     ws.emitStrokeComplete(op);
+
+    // Offline: show the stroke now, it is committed after reconnect
+    if (!ws.connected) canvas.addOp(op);
   });
 
+  // A stroke abandoned midway (a second finger turned it into a pinch)
+  canvas.on("stroke-cancel", (strokeId) => ws.emitStrokeCancel(strokeId));
+
+  // Text tool: click on your own text (on the active layer) to edit it,
+  // anywhere else for a new box
+  canvas.on("text-place", (p) => {
+    const layerId = activeLayer().id;
+    const hit = board
+      .getActiveOperations()
+      .filter(
+        (op) =>
+          op.type === "text" &&
+          op.userId === ws.userId &&
+          BoardLayers.layerOf(op) === layerId
+      )
+      .reverse()
+      .find((op) => {
+        const b = canvas.textBounds(op);
+        return (
+          p.x >= b.x &&
+          p.x <= b.x + b.width &&
+          p.y >= b.y &&
+          p.y <= b.y + b.height
+        );
+      });
+
+    if (!hit) {
+      canvas.openTextEditor({
+        x: p.x,
+        y: p.y,
+        fontSize: canvas.fontSize,
+        color: canvas.color,
+      });
+      return;
+    }
+
+    // Hide the original while its editor is open
+    canvas.redraw(board.getActiveOperations().filter((op) => op !== hit));
+    canvas.openTextEditor({
+      x: hit.x,
+      y: hit.y,
+      text: hit.text,
+      fontSize: hit.fontSize,
+      color: hit.color,
+      replaces: hit.id,
+    });
+  });
+
+  canvas.on("text-cancel", ({ replaces }) => {
+    if (replaces) render();
+  });
+
+  // Paint bucket: fills what the committed board shows under the click
+  canvas.on("fill-place", (p) => {
+    if (!canvas.fillAt(p, board.getActiveOperations())) {
+      showNotice("Click inside a closed area to fill it");
+    }
+  });
+
+  // -------------------------
+  // 5b. SELECTION (select tool)
+  // -------------------------
+
+  // What the select tool may pick: drawings on visible, unlocked layers —
+  // your own, or anyone's in a room you own (erasers stay put)
+  canvas.selectable = () => {
+    const open = new Set(
+      board.layers
+        .filter((layer) => layer.visible && !layer.locked)
+        .map((layer) => layer.id)
+    );
+    return board
+      .getActiveOperations()
+      .filter(
+        (op) =>
+          open.has(BoardLayers.layerOf(op)) &&
+          op.tool !== "eraser" &&
+          (ws.isOwner || op.userId === ws.userId)
+      );
+  };
+
+  canvas.on("transform", (change) => ws.emitTransform(change));
+  canvas.on("delete", (targets) => ws.emitDelete(targets));
+
+  // Keep the selection on what can still be selected: edited ops are
+  // followed to their new versions, deleted, undone or locked ones drop
+  // out
+  function syncSelection() {
+    const selectable = new Set(canvas.selectable());
+    const newer = new Map();
+    for (const op of selectable) if (op.replaces) newer.set(op.replaces, op);
+
+    const selection = canvas.selection
+      .map((op) => newer.get(op.id) || op)
+      .filter((op) => selectable.has(op));
+    const same =
+      selection.length === canvas.selection.length &&
+      selection.every((op, i) => op === canvas.selection[i]);
+    if (!same) canvas.setSelection(selection);
+  }
+
+  // -------------------------
+  // 5c. IMAGES (paste, drop or pick a picture: it is uploaded to the
+  // room, then placed with an image op like any other drawing)
+  // -------------------------
+
+  function imagesUrl(roomId) {
+    const base = window.BACKEND_URL || window.location.origin;
+    return `${base}/rooms/${encodeURIComponent(roomId)}/images`;
+  }
+
+  // rooms with a password want to know it's one of their members
+  function authHeaders() {
+    return ws.token ? { Authorization: `Bearer ${ws.token}` } : {};
+  }
+
+  // Same rule as drawing: only in a room, on a layer that takes drawings
+  async function addImage(file, at) {
+    if (!file || !file.type.startsWith("image/")) return;
+    if (!ws.room || canvas.readOnly) return;
+
+    try {
+      const bitmap = await createImageBitmap(file);
+      const { width, height } = bitmap;
+      bitmap.close();
+
+      const res = await fetch(imagesUrl(ws.room.roomId), {
+        method: "POST",
+        headers: authHeaders(),
+        body: file,
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || res.statusText);
+      canvas.placeImage(body.imageId, width, height, at);
+    } catch (err) {
+      alert(`Could not add the image: ${err.message}`);
+    }
+  }
+
+  imageBtn.addEventListener("click", () => imageFile.click());
+  imageFile.addEventListener("change", () => {
+    const file = imageFile.files[0];
+    imageFile.value = "";
+    addImage(file, canvas.viewCenter());
+  });
+
+  // Pasted pictures go to the middle of the view (pasting into a text
+  // field is left alone)
+  window.addEventListener("paste", (e) => {
+    if (e.target.closest && e.target.closest("input, textarea")) return;
+    const file = [...e.clipboardData.files].find((f) =>
+      f.type.startsWith("image/")
+    );
+    if (!file) return;
+    e.preventDefault();
+    addImage(file, canvas.viewCenter());
+  });
+
+  // Dropped ones where they were dropped
+  canvasContainer.addEventListener("dragover", (e) => {
+    if (e.dataTransfer.types.includes("Files")) e.preventDefault();
+  });
+  canvasContainer.addEventListener("drop", (e) => {
+    e.preventDefault();
+    addImage(e.dataTransfer.files[0], canvas.pointerPos(e));
+  });
+
+  // Pictures are fetched the first time an op needs one (the live room
+  // or the one being replayed), as data: URLs so SVG exports can embed
+  // them
+  canvas.on("image-needed", async (imageId) => {
+    const roomId = replay ? replay.roomId : ws.room && ws.room.roomId;
+    if (!roomId) return;
+
+    try {
+      const res = await fetch(`${imagesUrl(roomId)}/${imageId}`, {
+        headers: authHeaders(),
+      });
+      if (!res.ok) throw new Error(res.statusText);
+      const blob = await res.blob();
+      const reader = new FileReader();
+      reader.onload = () => canvas.setImage(imageId, reader.result);
+      reader.readAsDataURL(blob);
+    } catch (err) {
+      console.warn(`Image ${imageId} could not be loaded`, err);
+      canvas.images.delete(imageId); // try again on the next repaint
+    }
+  });
+
+  // Cursor moves fire on every mousemove → send at most ~30 per second,
+  // always including the final resting position
+  const CURSOR_SEND_MS = 33;
+  let cursorPending = null;
+  let cursorTimer = null;
+
   canvas.on("cursor-move", (p) => {
-    const user = usernameInput.value || "user";
-    ws.emitCursor({
+    if (isViewer()) return; // the server doesn't relay viewers' cursors
+    cursorPending = {
       x: p.x,
       y: p.y,
-      username: user,
+      username: usernameInput.value || "user",
+    };
+    if (cursorTimer) return;
+
+    ws.emitCursor(cursorPending);
+    cursorPending = null;
+    cursorTimer = setTimeout(function flush() {
+      cursorTimer = null;
+      if (!cursorPending) return;
+      ws.emitCursor(cursorPending);
+      cursorPending = null;
+      cursorTimer = setTimeout(flush, CURSOR_SEND_MS);
+    }, CURSOR_SEND_MS);
+  });
+
+  // -------------------------
+  // 5d. CHAT & COMMENTS (both kept with the room; comments are pinned to
+  // a point on the board and marked on the cursor layer)
+  // -------------------------
+
+  const CHAT_KEEP = 500; // messages listed (the server keeps as many)
+  let discussion = new BoardDiscussion({ maxMessages: CHAT_KEEP });
+  let activeCommentId = null;
+
+  // "Ana  text" plus the time; names and text are user input → text
+  // nodes only, never innerHTML
+  function said(tag, entry) {
+    const el = document.createElement(tag);
+    const time = document.createElement("span");
+    time.className = "chat-time";
+    time.textContent = new Date(entry.timestamp).toLocaleTimeString();
+    const author = document.createElement("span");
+    author.className = "chat-author";
+    author.textContent = entry.username || "Someone";
+    el.append(time, author, entry.text);
+    return el;
+  }
+
+  // Stays scrolled to the newest message unless you scrolled up
+  function renderChat() {
+    const bottom = chatLog.scrollHeight - chatLog.clientHeight;
+    const following = chatLog.scrollTop >= bottom - 4;
+    chatLog.replaceChildren(
+      ...discussion.messages.map((entry) => said("li", entry))
+    );
+    if (following) chatLog.scrollTop = chatLog.scrollHeight;
+  }
+
+  chatForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text || !ws.room) return;
+    ws.emitChat(text);
+    chatInput.value = "";
+  });
+
+  // Open comments are numbered in the order they were made, the same
+  // numbers label their markers; resolved ones have no marker
+  function renderComments() {
+    const open = discussion.openComments();
+    const labels = new Map(open.map((c, i) => [c.id, `${i + 1}`]));
+    canvas.setPins(
+      open.map((c) => ({
+        id: c.id,
+        x: c.x,
+        y: c.y,
+        label: labels.get(c.id),
+        active: c.id === activeCommentId,
+      }))
+    );
+
+    // keep a reply that is being typed
+    const draft = commentsList.querySelector("input");
+    const typing = draft && document.activeElement === draft;
+
+    const shown = showResolved.checked
+      ? [...discussion.comments.values()]
+      : open;
+    commentsList.replaceChildren(
+      ...shown.map((c) => commentThread(c, labels.get(c.id)))
+    );
+
+    const input = commentsList.querySelector("input");
+    if (!input || !draft) return;
+    if (input.dataset.commentId !== draft.dataset.commentId) return;
+    input.value = draft.value;
+    if (typing) input.focus();
+  }
+
+  // The comment, its replies and (when it's the active one) a reply box
+  function commentThread(comment, label) {
+    const li = said("li", comment);
+    if (label) li.prepend(`#${label} `);
+    li.classList.toggle("active", comment.id === activeCommentId);
+    li.classList.toggle("resolved", comment.resolved);
+    li.addEventListener("click", (e) => {
+      if (e.target.closest("input, button")) return;
+      focusComment(comment.id);
+      canvas.centerOn(comment);
+    });
+
+    for (const reply of comment.replies) {
+      const div = said("div", reply);
+      div.className = "reply";
+      li.append(div);
+    }
+    if (comment.resolved) {
+      const div = document.createElement("div");
+      div.className = "reply";
+      div.textContent = `Resolved by ${comment.resolvedBy || "someone"}`;
+      li.append(div);
+    }
+
+    const resolve = document.createElement("button");
+    resolve.textContent = comment.resolved ? "Reopen" : "Resolve";
+    resolve.addEventListener("click", () => {
+      ws.emitComment({
+        action: "resolve",
+        commentId: comment.id,
+        resolved: !comment.resolved,
+      });
     });
+    if (comment.id !== activeCommentId) {
+      li.append(resolve);
+      return li;
+    }
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.maxLength = 1000;
+    input.placeholder = "Reply";
+    input.dataset.commentId = comment.id;
+    input.setAttribute("aria-label", "Reply");
+    const send = document.createElement("button");
+    send.textContent = "Reply";
+    const reply = () => {
+      const text = input.value.trim();
+      if (!text) return;
+      ws.emitComment({ action: "reply", commentId: comment.id, text });
+      input.value = "";
+    };
+    send.addEventListener("click", reply);
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") reply();
+    });
+    li.append(input, send, " ", resolve);
+    return li;
+  }
+
+  function focusComment(commentId) {
+    activeCommentId = commentId;
+    renderComments();
+    const active = commentsList.querySelector(".active");
+    if (active) active.scrollIntoView({ block: "nearest" });
+  }
+
+  showResolved.addEventListener("change", renderComments);
+
+  // Comment tool: a marker opens its thread, anywhere else starts a new
+  // one (not while replaying: comments belong to the live board)
+  canvas.on("comment-place", (p) => {
+    const pin = canvas.pinAt(p);
+    if (pin) {
+      focusComment(pin.id);
+      return;
+    }
+    if (replay || !ws.room) return;
+
+    const text = (prompt("Comment") || "").trim();
+    if (text) ws.emitComment({ action: "add", x: p.x, y: p.y, text });
+  });
+
+  // Everything on join, then one entry at a time
+  ws.on("discussion", (entries) => {
+    discussion = BoardDiscussion.fromEntries(entries, {
+      maxMessages: CHAT_KEEP,
+    });
+    if (!discussion.comments.has(activeCommentId)) activeCommentId = null;
+    renderChat();
+    renderComments();
+  });
+
+  ws.on("chat", (entry) => {
+    discussion.apply(entry);
+    renderChat();
+  });
+
+  ws.on("comment", (entry) => {
+    if (!discussion.apply(entry)) return;
+    // a comment we just made opens for replies
+    if (entry.type === "comment" && entry.userId === ws.userId) {
+      activeCommentId = entry.id;
+    }
+    renderComments();
   });
 
   // -------------------------
   // 6. WS → Canvas Rendering
   // -------------------------
 
-  ws.on("stroke", (segment) => canvas.drawTemp(segment));
-  ws.on("stroke-complete", (op) => canvas.drawOp(op));
-  ws.on("history", (ops) => canvas.redraw(ops));
+  // Resize / zoom / pan: repaint the board from local history
+  canvas.on("invalidate", () => render());
+
+  // During playback live traffic only updates `board`; nothing is drawn
+  ws.on("stroke", (segment) => {
+    if (!replay) canvas.drawTemp(segment);
+  });
+  ws.on("stroke-batch", (batch) => {
+    if (replay) return;
+    for (const segment of batch) canvas.drawTemp(segment);
+  });
+  ws.on("stroke-cancel", ({ strokeId }) => canvas.clearLive(strokeId));
+  ws.on("stroke-complete", (op) => {
+    // drop the live preview of this stroke (keyed by its strokeId)
+    canvas.clearLive(op.clientId || op.userId);
+
+    const change = board.apply(op);
+    if (replay) return;
+    if (change === "added") canvas.addOp(op);
+    if (change === "changed") repaint(op);
+  });
+
+  // Undo/redo arrive as single log entries naming the affected op
+  function applyUndoRedo(entry) {
+    const change = board.apply(entry);
+    if (change === "missing") {
+      ws.resync({ full: true });
+      return;
+    }
+    if (change && !replay) repaint(board.get(entry.inverseOf || entry.redoOf));
+  }
+  ws.on("undo", applyUndoRedo);
+  ws.on("redo", applyUndoRedo);
+
+  // Selection edits arrive as single log entries as well
+  function applyEdit(entry) {
+    const change = board.apply(entry);
+    if (change && !replay) repaint(entry);
+  }
+  ws.on("transform", applyEdit);
+  ws.on("delete", applyEdit);
+
+  // Repaint just the area where `op` (and what it replaces) changed
+  function repaint(op) {
+    canvas.redrawRegion(board.getActiveOperations(), board.affected(op));
+    syncSelection();
+  }
+
+  ws.on("history", ({ ops, layers }) => {
+    board.reset(ops, layers);
+    layersChanged();
+  });
+
+  ws.on("layers", (entry) => {
+    board.apply(entry);
+    // a layer we just created becomes the one we draw on
+    if (entry.action === "create" && entry.userId === ws.userId) {
+      activeLayerId = entry.layerId;
+    }
+    layersChanged();
+  });
+
+  // Join/reconnect: either a full snapshot or just the ops we missed
+  ws.on("sync", ({ full, ops, layers }) => {
+    if (full) {
+      board.reset(ops, layers);
+      layersChanged();
+      return;
+    }
+
+    let needsRedraw = false;
+    for (const op of ops) {
+      const change = board.apply(op);
+      if (change === "missing") {
+        ws.resync({ full: true });
+        return;
+      }
+      if (change === "changed" || change === "layers") needsRedraw = true;
+      if (change === "added" && !needsRedraw && !replay) canvas.addOp(op);
+    }
+    if (needsRedraw) layersChanged();
+  });
 
   ws.on("cursor", (c) => {
+    // the server sends { remove: socketId } when a session disconnects
+    if (c.remove) {
+      canvas.removeCursor(c.remove);
+      return;
+    }
+
     canvas.updateCursor({
       x: c.x,
       y: c.y,
       socketId: c.socketId,
+      username: c.username,
       color: c.color,
     });
   });
 
   ws.on("users", (users) => {
-    usersList.innerHTML = "";
+    usersList.replaceChildren();
     for (const u of users) {
       const li = document.createElement("li");
-      li.innerHTML = `<span class="user-color-dot" style="background:${
-        u.color
-      }"></span> ${u.username} ${u.id === ws.socket.id ? "(You)" : ""}`;
+      const dot = document.createElement("span");
+      dot.className = "user-color-dot";
+      dot.style.background = u.color;
+
+      // usernames are user input → text nodes only, never innerHTML
+      const tabs = u.sessions > 1 ? ` [${u.sessions} tabs]` : "";
+      const you = u.id === ws.userId ? " (You)" : "";
+      li.append(dot, `${u.username}${tabs}${you}`);
+
+      if (ws.isOwner && u.role !== "owner") {
+        li.append(roleSelect(u), ...moderationButtons(u));
+      } else if (u.role !== "editor") li.append(` · ${ROLE_NAMES[u.role]}`);
       usersList.append(li);
     }
   });
@@ -157,6 +1251,17 @@ window.addEventListener("load", () => {
 
   ws.on("connection", ({ status }) => {
     connectionStatus.textContent = status;
+
+    // cursor removals sent while we were away never reach us; undo
+    // state comes back with the rejoin
+    if (status === "disconnected") {
+      canvas.clearCursors();
+      setUndoState({ canUndo: false, canRedo: false });
+    }
+  });
+
+  ws.on("rate-limited", ({ reason }) => {
+    connectionStatus.textContent = reason;
   });
 
   ws.on("latency", (ms) => {
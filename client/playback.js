@@ -0,0 +1,135 @@
+// Time-travel playback of a room's operation log
+// Rebuilds the board as it was after any entry of the log (undo, redo
+// and text edits included) on its own BoardState, and plays the log back
+// on a virtual clock where long idle gaps are shortened.
+
+const PLAYBACK_MAX_GAP_MS = 1000; // pauses longer than this are cut short
+
+class Playback {
+  // history = GET /rooms/:roomId/history
+  constructor({ roomId, ops, layers, contributors }) {
+    this.roomId = roomId;
+    this.ops = ops; // log entries in seq order
+    this.contributors = contributors; // userId → { username, color }
+    // The layers the replay starts from: the room's own, since a
+    // compacted log may no longer hold the entry that created a layer its
+    // first ops are on. The log's layer entries take over as they come.
+    this.layers = layers || BoardLayers.defaultLayers();
+    this.board = new BoardState();
+    this.board.reset([], this.layers);
+    this.position = 0; // number of entries applied to this.board
+
+    // Virtual time (ms) at which each entry appears
+    this.times = [];
+    let t = 0;
+    ops.forEach((op, i) => {
+      if (i > 0) {
+        const gap = op.timestamp - ops[i - 1].timestamp;
+        t += Math.min(Math.max(gap, 0), PLAYBACK_MAX_GAP_MS);
+      }
+      this.times.push(t);
+    });
+
+    this.speed = 1;
+    this.clock = 0;
+    this.frame = null; // requestAnimationFrame id while playing
+    this.listeners = new Map();
+  }
+
+  get length() {
+    return this.ops.length;
+  }
+
+  get playing() {
+    return this.frame !== null;
+  }
+
+  on(ev, cb) {
+    if (!this.listeners.has(ev)) this.listeners.set(ev, []);
+    this.listeners.get(ev).push(cb);
+  }
+
+  emit(ev, data) {
+    if (this.listeners.has(ev)) {
+      for (const cb of this.listeners.get(ev)) cb(data);
+    }
+  }
+
+  // The board after the first `position` entries of the log
+  getActiveOperations() {
+    return this.board.getActiveOperations();
+  }
+
+  // The most recently applied entry and who made it
+  current() {
+    const op = this.ops[this.position - 1];
+    if (!op) return null;
+    return { op, author: this.contributors[op.userId] || null };
+  }
+
+  // Jump to `position` (0 = empty board, length = now). Emits "frame"
+  // with the ops that can simply be drawn on top, or redraw: true when
+  // something disappeared (undo, edit), the layers changed or we went
+  // backwards.
+  seek(position, { fromClock = false } = {}) {
+    position = Math.max(0, Math.min(this.length, position));
+
+    let redraw = false;
+    if (position < this.position) {
+      this.board.reset([], this.layers);
+      this.position = 0;
+      redraw = true;
+    }
+
+    const added = [];
+    while (this.position < position) {
+      const op = this.ops[this.position++];
+      const change = this.board.apply(op);
+      if (change === "added") added.push(op);
+      if (change === "changed" || change === "layers") redraw = true;
+    }
+
+    if (!fromClock) this.clock = position ? this.times[position - 1] : 0;
+    this.emit("frame", { position, added: redraw ? [] : added, redraw });
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.length) this.seek(0); // replay from the start
+
+    let last = performance.now();
+    const tick = (now) => {
+      this.clock += (now - last) * this.speed;
+      last = now;
+
+      // everything whose time has come
+      let position = this.position;
+      while (position < this.length && this.times[position] <= this.clock) {
+        position++;
+      }
+      if (position !== this.position) this.seek(position, { fromClock: true });
+
+      if (this.position >= this.length) {
+        this.pause();
+        return;
+      }
+      this.frame = requestAnimationFrame(tick);
+    };
+
+    this.frame = requestAnimationFrame(tick);
+    this.emit("state", { playing: true });
+  }
+
+  pause() {
+    if (!this.playing) return;
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.emit("state", { playing: false });
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+}
+
+window.Playback = Playback;
@@ -0,0 +1,62 @@
+// View transform for the infinite canvas
+// All operations, previews and cursor messages live in world coordinates;
+// only what is painted on screen goes through this transform:
+//   screen = world * scale + (x, y)
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+
+class Viewport {
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.scale = 1;
+  }
+
+  toWorld(p) {
+    return { x: (p.x - this.x) / this.scale, y: (p.y - this.y) / this.scale };
+  }
+
+  toScreen(p) {
+    return { x: p.x * this.scale + this.x, y: p.y * this.scale + this.y };
+  }
+
+  // Visible world rectangle for a canvas of the given pixel size
+  visibleRect(width, height) {
+    const tl = this.toWorld({ x: 0, y: 0 });
+    return {
+      x: tl.x,
+      y: tl.y,
+      width: width / this.scale,
+      height: height / this.scale,
+    };
+  }
+
+  // Set the world → screen transform on a 2D context
+  apply(ctx) {
+    ctx.setTransform(this.scale, 0, 0, this.scale, this.x, this.y);
+  }
+
+  panBy(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+  }
+
+  // Zoom keeping the world point under `screenPoint` fixed
+  zoomAt(screenPoint, factor) {
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, this.scale * factor));
+    const world = this.toWorld(screenPoint);
+
+    this.scale = scale;
+    this.x = screenPoint.x - world.x * scale;
+    this.y = screenPoint.y - world.y * scale;
+  }
+
+  reset() {
+    this.x = 0;
+    this.y = 0;
+    this.scale = 1;
+  }
+}
+
+window.Viewport = Viewport;
@@ -16,15 +16,46 @@ class WebSocketClient {
     console.log("WebSocketClient initialized with URL:", url);
     this.eventListeners = new Map();
     this.pendingBatch = []; // for batched drawing mode
-    this.batchInterval = null;
+    this.batchTimer = null;
+
+    // Smoothed measurements that size the batch window
+    this.latency = null; // round trip, ms
+    this.strokeSpeed = null; // px per ms of the stroke being drawn
+    this.lastSegmentAt = null;
 
     this.lastPing = null;
 
+    // Wire format for stroke/cursor traffic, agreed with the server at
+    // join: compact binary (shared/wire.js) when both sides support it
+    this.binary = false;
+
+    // Persistent identity issued by the server on first join
+    this.userId = null;
+    this.token = localStorage.getItem("canvas-token");
+
+    // Resync state: the room we belong to and the last op seq applied.
+    // Re-sent on every (re)connect so the server only sends what we missed.
+    this.room = null; // { roomId, username }
+    this.lastSeq = null;
+
+    // Our role in the room ("owner" | "editor" | "viewer"), and what a
+    // closed room needs to let us in ({ password?, invite? }) — only sent
+    // until it has (the room remembers us after that)
+    this.role = null;
+    this.credentials = {};
+
+    // Committed strokes not yet acknowledged by the server (clientId → op).
+    // Re-sent after each resync; the server dedupes by clientId.
+    this.outbox = new Map();
+
     // ---- Incoming events from server ----
 
     this.socket.on("connect", () => {
       console.log("Connected!", this.socket.id);
       this.trigger("connection", { status: "connected", id: this.socket.id });
+
+      // Reconnect → rejoin the room we were in
+      if (this.room) this.sendJoin();
     });
 
     this.socket.on("disconnect", () => {
@@ -35,44 +66,165 @@ class WebSocketClient {
     this.socket.on("pong-check", (serverTime) => {
       const now = Date.now();
       const latency = now - serverTime;
+      this.latency =
+        this.latency === null ? latency : this.latency * 0.8 + latency * 0.2;
       this.trigger("latency", latency);
     });
 
     // --- Protocol Events ---
 
+    this.socket.on("identity", ({ userId, token, color, encoding, role }) => {
+      this.userId = userId;
+      this.credentials = {};
+      this.setRole(role);
+      this.binary = encoding === "binary";
+      this.token = token;
+      localStorage.setItem("canvas-token", token);
+      this.trigger("identity", { userId, color });
+    });
+
+    this.socket.on("sync", (data) => {
+      this.lastSeq = data.seq;
+      for (const op of data.ops) {
+        if (op.clientId) this.outbox.delete(op.clientId);
+      }
+      this.trigger("sync", data);
+      this.flushOutbox();
+    });
+
     this.socket.on("history", (history) => {
+      this.lastSeq = history.seq;
       this.trigger("history", history);
     });
 
-    this.socket.on("stroke", (strokeData) => {
+    this.receive("stroke", (strokeData) => {
       // live stroke points from other users
       this.trigger("stroke", strokeData);
     });
 
-    this.socket.on("stroke-complete", (operation) => {
+    this.receive("stroke-batch", (batch) => {
+      // several live segments from other users, in drawing order
+      this.trigger("stroke-batch", batch);
+    });
+
+    this.receive("stroke-complete", (operation) => {
       // when another user finishes a stroke (committed op)
+      if (operation.clientId) this.outbox.delete(operation.clientId);
+      this.advanceSeq(operation.seq);
       this.trigger("stroke-complete", operation);
     });
 
-    this.socket.on("cursor", (cursor) => {
+    // someone abandoned a stroke: { strokeId, userId }
+    this.socket.on("stroke-cancel", (cancel) => {
+      this.trigger("stroke-cancel", cancel);
+    });
+
+    this.receive("cursor", (cursor) => {
       this.trigger("cursor", cursor);
     });
 
+    // Roles change live (the owner sets them), so ours is read from here
     this.socket.on("users", (users) => {
+      const me = users.find((u) => u.id === this.userId);
+      if (me) this.setRole(me.role);
       this.trigger("users", users);
     });
 
-    this.socket.on("undo", (opId) => {
-      this.trigger("undo", opId);
+    // Room settings, owner only ({ closed, defaultRole, invite? })
+    this.socket.on("access", (settings) => {
+      this.trigger("access", settings);
+    });
+
+    // { canUndo, canRedo } for our own changes
+    this.socket.on("undo-state", (state) => {
+      this.trigger("undo-state", state);
+    });
+
+    // Someone's undo/redo: the log entry ({ type, inverseOf | redoOf, seq })
+    this.socket.on("undo", (entry) => {
+      this.advanceSeq(entry.seq);
+      this.trigger("undo", entry);
+    });
+
+    this.socket.on("redo", (entry) => {
+      this.advanceSeq(entry.seq);
+      this.trigger("redo", entry);
+    });
+
+    // A selection edit: the log entry (a transform carries the edited
+    // copies of its targets, a delete just names them)
+    this.socket.on("transform", (entry) => {
+      this.advanceSeq(entry.seq);
+      this.trigger("transform", entry);
+    });
+
+    this.socket.on("delete", (entry) => {
+      this.advanceSeq(entry.seq);
+      this.trigger("delete", entry);
+    });
+
+    // A layer change: the log entry with the room's new layer list
+    this.socket.on("layers", (entry) => {
+      this.advanceSeq(entry.seq);
+      this.trigger("layers", entry);
+    });
+
+    // What the owner did: { action, by, userId?, username?, count? }
+    this.socket.on("moderation", (notice) => {
+      this.trigger("moderation", notice);
+    });
+
+    // The room's chat and comments (see shared/discussion.js): all of
+    // them on join, then one entry at a time ("comment" also carries
+    // replies and resolves)
+    this.socket.on("discussion", (entries) => {
+      this.trigger("discussion", entries);
     });
 
-    this.socket.on("redo", (opId) => {
-      this.trigger("redo", opId);
+    this.socket.on("chat", (entry) => {
+      this.trigger("chat", entry);
+    });
+
+    this.socket.on("comment", (entry) => {
+      this.trigger("comment", entry);
     });
 
     this.socket.on("snapshot", (pngBase64) => {
       this.trigger("snapshot", pngBase64);
     });
+
+    // We are sending too fast ({ event, reason }); may precede a disconnect
+    this.socket.on("rate-limited", (notice) => {
+      console.warn(`Rate limited on "${notice.event}":`, notice.reason);
+      this.trigger("rate-limited", notice);
+    });
+
+    // The server refused one of our events ({ event, reason }); a refused
+    // commit names its clientId and is never sent again
+    this.socket.on("rejected", (rejection) => {
+      console.warn(`Server rejected "${rejection.event}":`, rejection.reason);
+      if (rejection.clientId) this.outbox.delete(rejection.clientId);
+      this.trigger("rejected", rejection);
+    });
+  }
+
+  // Listen for an event that may arrive binary-encoded
+  receive(event, handler) {
+    this.socket.on(event, (payload) => {
+      if (window.BoardWire && BoardWire.isBinary(payload)) {
+        payload = BoardWire.decode(event, payload);
+      }
+      handler(payload);
+    });
+  }
+
+  // Emit, binary-encoded when negotiated and the event supports it
+  send(event, payload) {
+    if (this.binary && BoardWire.EVENTS.has(event)) {
+      this.socket.emit(event, BoardWire.encode(event, payload));
+    } else {
+      this.socket.emit(event, payload);
+    }
   }
 
   // -------------------- Public API --------------------
@@ -81,36 +233,148 @@ class WebSocketClient {
     this.socket.connect();
   }
 
-  joinRoom(roomId, username) {
-    this.socket.emit("join", { roomId, username });
+  joinRoom(roomId, username, credentials = {}) {
+    // New room → nothing we hold applies any more
+    if (!this.room || this.room.roomId !== roomId) {
+      this.lastSeq = null;
+      this.outbox.clear();
+      this.setRole(null);
+    }
+
+    this.room = { roomId, username };
+    this.credentials = credentials;
+    if (this.socket.connected) this.sendJoin();
+  }
+
+  // Removed by the owner: stay out (no rejoin on reconnect)
+  leaveRoom() {
+    this.room = null;
+    this.lastSeq = null;
+    this.outbox.clear();
+    this.setRole(null);
+  }
+
+  sendJoin() {
+    this.socket.emit("join", {
+      ...this.room,
+      ...this.credentials,
+      token: this.token,
+      lastSeq: this.lastSeq,
+      encoding: window.BoardWire ? BoardWire.ENCODING : "json",
+    });
+  }
+
+  get connected() {
+    return this.socket.connected;
+  }
+
+  get isOwner() {
+    return this.role === "owner";
+  }
+
+  setRole(role) {
+    if (role === this.role) return;
+    this.role = role;
+    this.trigger("role", role);
+  }
+
+  // Live log entries move our resync position forward
+  advanceSeq(seq) {
+    if (this.lastSeq !== null && seq > this.lastSeq) this.lastSeq = seq;
+  }
+
+  // Ask for what we missed, or for everything when our replica can't
+  // be patched (e.g. a redo of an op we never received)
+  resync({ full = false } = {}) {
+    this.socket.emit("sync", { lastSeq: full ? null : this.lastSeq });
   }
 
   // ---- Drawing ----
   emitStrokePoint(point, batching = false) {
     if (!batching) {
-      this.socket.emit("stroke", point);
+      this.flushBatch(); // keep order when switching modes mid-stroke
+      this.send("stroke", point);
       return;
     }
 
+    this.measureSpeed(point);
     this.pendingBatch.push(point);
 
-    if (!this.batchInterval) {
-      this.batchInterval = setInterval(() => {
-        if (this.pendingBatch.length > 0) {
-          this.socket.emit("stroke-batch", this.pendingBatch);
-          this.pendingBatch = [];
-        }
-      }, 50); // batch every 50ms
+    if (this.pendingBatch.length >= BATCH_MAX_SEGMENTS) {
+      this.flushBatch();
+    } else if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => this.flushBatch(), this.batchWindow());
     }
   }
 
+  flushBatch() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    if (this.pendingBatch.length === 0) return;
+
+    this.send("stroke-batch", this.pendingBatch);
+    this.pendingBatch = [];
+  }
+
+  // Batch window: longer on slow links (messages are expensive, and the
+  // delay is small next to the round trip anyway), shorter for slow hand
+  // movement (few segments to save, delay is more visible)
+  batchWindow() {
+    const base =
+      this.latency === null
+        ? BATCH_DEFAULT_MS
+        : clamp(this.latency / 2, BATCH_MIN_MS, BATCH_MAX_MS);
+
+    const speed = this.strokeSpeed === null ? 1 : this.strokeSpeed;
+    const factor = clamp(speed / BATCH_REF_SPEED, 0.5, 1.5);
+
+    return clamp(base * factor, BATCH_MIN_MS, BATCH_MAX_MS);
+  }
+
+  measureSpeed(seg) {
+    if (seg.kind === "shape") return;
+
+    const now = performance.now();
+    if (this.lastSegmentAt !== null) {
+      const dt = Math.max(1, now - this.lastSegmentAt);
+      const speed = Math.hypot(seg.x1 - seg.x0, seg.y1 - seg.y0) / dt;
+      this.strokeSpeed =
+        this.strokeSpeed === null
+          ? speed
+          : this.strokeSpeed * 0.7 + speed * 0.3;
+    }
+    this.lastSegmentAt = now;
+  }
+
   emitStrokeComplete(operation) {
-    this.socket.emit("stroke-complete", operation);
+    // the final partial batch must reach others before the commit
+    this.flushBatch();
+    this.lastSegmentAt = null;
+
+    // Client-generated id lets the server drop duplicate re-sends
+    const op = { ...operation, clientId: operation.clientId || newClientId() };
+    this.outbox.set(op.clientId, op);
+
+    if (this.socket.connected) this.send("stroke-complete", op);
+    return op;
+  }
+
+  // Nothing gets committed; others drop its live preview
+  emitStrokeCancel(strokeId) {
+    this.flushBatch(); // its segments must not arrive after the cancel
+    this.lastSegmentAt = null;
+    this.socket.emit("stroke-cancel", { strokeId });
+  }
+
+  flushOutbox() {
+    for (const op of this.outbox.values()) {
+      this.send("stroke-complete", op);
+    }
   }
 
   // ---- Cursors ----
   emitCursor(cursorData) {
-    this.socket.emit("cursor", cursorData);
+    this.send("cursor", cursorData);
   }
 
   // ---- Undo/Redo ----
@@ -122,6 +386,53 @@ class WebSocketClient {
     this.socket.emit("redo");
   }
 
+  // ---- Import / export ----
+  emitImport(doc, layerId) {
+    this.socket.emit("import", { ...doc, layerId });
+  }
+
+  // ---- Selection edits ----
+  // { targets, dx?, dy?, sx?, sy?, ox?, oy?, color? } (see shared/transform.js)
+  emitTransform(change) {
+    this.socket.emit("transform", change);
+  }
+
+  emitDelete(targets) {
+    this.socket.emit("delete", { targets });
+  }
+
+  // ---- Layers ----
+  // { action: "create", name } | { action: "rename", layerId, name }
+  // | { action: "set", layerId, visible?, locked? }
+  // | { action: "move", layerId, index } | { action: "delete", layerId }
+  emitLayer(change) {
+    this.socket.emit("layer", change);
+  }
+
+  // ---- Room access (owner only) ----
+  // { action: "role", userId, role } | { action: "default-role", role }
+  // | { action: "password", password } | { action: "invite", role }
+  emitAccess(change) {
+    this.socket.emit("access", change);
+  }
+
+  // { action: "kick" | "ban" | "unban" | "remove-user", userId }
+  // | { action: "clear" } | { action: "undo-stroke", targetId }
+  emitModerate(command) {
+    this.socket.emit("moderate", command);
+  }
+
+  // ---- Chat & comments ----
+  emitChat(text) {
+    this.socket.emit("chat", { text });
+  }
+
+  // { action: "add", x, y, text } | { action: "reply", commentId, text }
+  // | { action: "resolve", commentId, resolved }
+  emitComment(change) {
+    this.socket.emit("comment", change);
+  }
+
   // ---- Snapshot persistence ----
   requestSnapshot() {
     this.socket.emit("request-snapshot");
@@ -156,5 +467,21 @@ class WebSocketClient {
   }
 }
 
+// Batch window bounds (ms) and the stroke speed (px/ms) that maps to 1×
+const BATCH_MIN_MS = 16;
+const BATCH_MAX_MS = 120;
+const BATCH_DEFAULT_MS = 50;
+const BATCH_REF_SPEED = 1;
+const BATCH_MAX_SEGMENTS = 64;
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
+
+function newClientId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Math.random().toString(36).substring(2) + Date.now().toString(36);
+}
+
 // export for main.js and canvas.js
 window.WebSocketClient = WebSocketClient;
@@ -0,0 +1,111 @@
+// Undo/redo latency against the size of a room's log
+//   node scripts/undo-benchmark.js [sizes…]     (default: 1000 10000 100000)
+// Builds a DrawingState per size: 10 users drawing in turn, plus users
+// whose strokes sit at chosen depths of the log. Compacts it once (timed),
+// as a large room would be, then times, as median and p99 over many calls:
+//   tail        the 10 users undoing and redoing in turn, several deep,
+//               so their undos interleave
+//   deep        undo/redo of strokes drawn 5% into the log, whose
+//               visible-list position is near the front
+//   checkpoint  undo/redo of strokes drawn just before the checkpoint
+//               (their stacks come from the checkpoint)
+// Undo/redo should stay in the microseconds at every
+// size and depth; compaction rewrites the log and grows with it.
+
+const DrawingState = require("../server/drawing-state");
+const config = require("../server/config");
+
+const USERS = 10;
+const STROKES = 20; // per user at a chosen depth
+const ROUNDS = 50;
+const { undoDepth, keepTail } = config.history;
+
+const sizes = process.argv.slice(2).map(Number);
+if (!sizes.length) sizes.push(1000, 10000, 100000);
+
+function stroke(i) {
+  const points = [];
+  for (let k = 0; k < 8; k++) points.push({ x: (i % 1000) + k, y: k * 2 });
+  return { type: "stroke", tool: "brush", color: "#000000", width: 3, points };
+}
+
+// `deep` draws STROKES strokes 5% into the log, `old` just before where
+// compaction will cut (when the log is longer than keepTail)
+function build(size) {
+  const state = new DrawingState("bench", { undoDepth });
+  const at = new Map([[Math.floor(size * 0.05), "deep"]]);
+  if (size > keepTail + STROKES) at.set(size - keepTail - STROKES, "old");
+  for (let i = 0; i < size; i++) {
+    const special = at.get(i);
+    if (special) {
+      for (let k = 0; k < STROKES; k++) {
+        state.addOperation(stroke(i), special);
+      }
+    }
+    state.addOperation(stroke(i), `user-${i % USERS}`);
+  }
+  return state;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1000; // µs
+}
+
+// Each round undoes `depth` changes of every user, taking turns, then
+// redoes them the same way
+function undoRedo(state, users, depth) {
+  const undos = [];
+  const redos = [];
+  for (let round = 0; round < ROUNDS; round++) {
+    for (let k = 0; k < depth; k++) {
+      for (const user of users) {
+        undos.push(time(() => assertDone(state.undoOwn(user))));
+      }
+    }
+    for (let k = 0; k < depth; k++) {
+      for (const user of users) {
+        redos.push(time(() => assertDone(state.redoOwn(user))));
+      }
+    }
+  }
+  return { undos, redos };
+}
+
+function assertDone(entry) {
+  if (!entry) throw new Error("nothing to undo/redo — benchmark setup bug");
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function summarize({ undos, redos }) {
+  const stats = (samples) => {
+    const sorted = [...samples].sort((a, b) => a - b);
+    return `${percentile(sorted, 0.5).toFixed(1)}/${percentile(sorted, 0.99).toFixed(1)}`;
+  };
+  return `${stats(undos)} · ${stats(redos)}`;
+}
+
+const columns = [8, 24, 24, 24, 10];
+const line = (cells) =>
+  cells.map((cell, i) => String(cell).padEnd(columns[i])).join(" | ");
+
+console.log("undo · redo, p50/p99 in µs");
+console.log(line(["ops", "tail", "deep", "checkpoint", "compact"]));
+for (const size of sizes) {
+  const state = build(size);
+  const users = Array.from({ length: USERS }, (_, i) => `user-${i}`);
+
+  const compact = time(() => state.compact(keepTail)) / 1000;
+
+  const tail = summarize(undoRedo(state, users, 5));
+  const deep = summarize(undoRedo(state, ["deep"], STROKES));
+  const checkpoint = state.checkpointSeq
+    ? summarize(undoRedo(state, ["old"], STROKES))
+    : "— (under keepTail)";
+
+  console.log(line([size, tail, deep, checkpoint, `${compact.toFixed(1)} ms`]));
+}
@@ -0,0 +1,99 @@
+// Message sizes, JSON vs the binary wire format (shared/wire.js)
+//   node scripts/wire-sizes.js
+// Prints the table quoted in Architecture.md ("Binary Wire Format"). The
+// samples are generated, not random, so the numbers are reproducible.
+
+const BoardWire = require("../shared/wire");
+const { validate } = require("../server/validation");
+
+const USER_ID = "6f1c0b9e-4d2a-4c8e-9a57-3b1f2e8d7c60";
+const STROKE_ID = "0b8f3c2a-6e1d-4f7a-8c9b-5d2e1a3f4b6c";
+
+// A wavy hand-drawn line: points ~2–3 units apart, pressure varying
+function pathPoint(i) {
+  return {
+    x: 120 + i * 2.37 + Math.sin(i / 5) * 4.1,
+    y: 340 + Math.cos(i / 7) * 25.3,
+    pressure: 0.5 + Math.sin(i / 9) * 0.3,
+  };
+}
+
+function segment(i) {
+  const a = pathPoint(i);
+  const b = pathPoint(i + 1);
+  return {
+    x0: a.x,
+    y0: a.y,
+    x1: b.x,
+    y1: b.y,
+    color: "#1e90ff",
+    width: 5,
+    tool: "brush",
+    pressure: b.pressure,
+    smooth: true,
+    strokeId: STROKE_ID,
+    userId: USER_ID,
+  };
+}
+
+// What the server relays: the op as stored (see validation.js), plus the
+// fields it adds
+function committedStroke(points) {
+  const op = validate("stroke-complete", {
+    points: Array.from({ length: points }, (_, i) => pathPoint(i)),
+    color: "#1e90ff",
+    width: 5,
+    tool: "brush",
+    smooth: true,
+    clientId: STROKE_ID,
+  });
+  return {
+    ...op,
+    id: "lx3k9f2a1b7c",
+    userId: USER_ID,
+    username: "Ana",
+    layerId: "base",
+    timestamp: 1760000000000,
+    seq: 1234,
+  };
+}
+
+const samples = [
+  [
+    "`stroke-batch`, 20 segments",
+    "stroke-batch",
+    Array.from({ length: 20 }, (_, i) => segment(i)),
+  ],
+  [
+    "`stroke-complete`, 150-point stroke",
+    "stroke-complete",
+    committedStroke(150),
+  ],
+  [
+    "`cursor` relay (with name, color, ids)",
+    "cursor",
+    {
+      x: 512.3,
+      y: -87.6,
+      username: "Ana",
+      socketId: "Xk2fP9qLmZ3aB7cDAAAB",
+      userId: USER_ID,
+      color: "#3A7BD5",
+    },
+  ],
+  ["single `stroke` segment with both ids", "stroke", segment(0)],
+];
+
+const rows = samples.map(([label, event, payload]) => {
+  const json = Buffer.byteLength(JSON.stringify(payload));
+  const binary = BoardWire.encode(event, payload).length;
+  return [label, `${json} B`, `${binary} B`];
+});
+
+const widths = [40, 7, 6];
+const line = (cells) =>
+  `| ${cells.map((c, i) => c.padEnd(widths[i])).join(" | ")} |`;
+
+console.log(line(["Message", "JSON", "Binary"]));
+console.log(line(widths.map((w) => "-".repeat(w))));
+for (const row of rows) console.log(line(row));
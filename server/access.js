@@ -0,0 +1,216 @@
+// Who may do what in a room
+// - The first person to join a room owns it; everyone else is an editor
+//   (draws, edits their own drawings) or a viewer (only watches).
+// - A room may be closed with a password, or entered with an invite link
+//   that carries a role. People let in once are remembered by userId, so
+//   reconnects and new tabs don't ask again.
+// - The owner may ban people; they can't get back in by any means until
+//   unbanned.
+// Kept in the room document next to the op log, never inside it: the log
+// is public through GET /rooms/:roomId/history.
+
+const crypto = require("crypto");
+
+// Roles the owner can hand out (ownership doesn't change hands)
+const MEMBER_ROLES = new Set(["editor", "viewer"]);
+
+// Events each role may send once it is in a room; anything not listed is
+// refused (joining is always allowed, it decides the role). Viewers may
+// still talk: chat and comments never touch the board.
+const VIEWER_EVENTS = [
+  "sync",
+  "request-snapshot",
+  "ping-check",
+  "chat",
+  "comment",
+];
+const EDITOR_EVENTS = [
+  ...VIEWER_EVENTS,
+  "stroke",
+  "stroke-batch",
+  "stroke-cancel",
+  "stroke-complete",
+  "cursor",
+  "undo",
+  "redo",
+  "import",
+  "layer",
+  "transform",
+  "delete",
+];
+const PERMISSIONS = {
+  viewer: new Set(VIEWER_EVENTS),
+  editor: new Set(EDITOR_EVENTS),
+  owner: new Set([...EDITOR_EVENTS, "access", "moderate"]),
+};
+
+// A join the room doesn't let through; `code` tells the client what to
+// ask for ("password" or "invite"; "banned" when there is nothing to do)
+class AccessError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "AccessError";
+    this.code = code;
+  }
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 32).toString("hex");
+  return { salt, hash };
+}
+
+// Invite tokens are stored hashed as well, so the document alone can't
+// be used to get in
+function hashInvite(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+class RoomAccess {
+  constructor() {
+    this.ownerId = null;
+    this.defaultRole = "editor"; // for people let in without an invite
+    this.roles = new Map(); // userId → "editor" | "viewer"
+    this.password = null; // { salt, hash }
+    this.invites = new Map(); // hashed invite token → role
+    this.banned = new Map(); // userId → username at the time
+  }
+
+  static allows(role, event) {
+    return !!role && PERMISSIONS[role].has(event);
+  }
+
+  // A room with a password only lets in people it already knows
+  get closed() {
+    return this.password !== null;
+  }
+
+  // null → not let in (a closed room that doesn't know this user)
+  roleOf(userId) {
+    if (userId && userId === this.ownerId) return "owner";
+    if (this.banned.has(userId)) return null;
+    if (this.roles.has(userId)) return this.roles.get(userId);
+    return this.closed ? null : this.defaultRole;
+  }
+
+  // ----------------------------------------------------------
+  // JOIN
+  // The role `userId` gets in this room, or an AccessError. The first
+  // person in (in a room from before owners, the next one) becomes the
+  // owner and may close the room with a password right away.
+  // ----------------------------------------------------------
+  admit(userId, { password, invite } = {}) {
+    if (!this.ownerId) {
+      this.ownerId = userId;
+      if (password) this.setPassword(password);
+      return "owner";
+    }
+
+    if (this.banned.has(userId)) {
+      throw new AccessError("You are banned from this room", "banned");
+    }
+
+    const known = this.roles.get(userId);
+    if (userId === this.ownerId || known) return this.roleOf(userId);
+
+    if (invite) {
+      const role = this.invites.get(hashInvite(invite));
+      if (!role)
+        throw new AccessError("This invite link is not valid", "invite");
+      this.roles.set(userId, role);
+      return role;
+    }
+
+    if (!this.closed) return this.defaultRole;
+    if (!password)
+      throw new AccessError("This room needs a password", "password");
+    if (!this.checkPassword(password)) {
+      throw new AccessError("Wrong password", "password");
+    }
+    this.roles.set(userId, this.defaultRole);
+    return this.defaultRole;
+  }
+
+  checkPassword(password) {
+    if (!this.password) return true;
+    const given = Buffer.from(hashPassword(password, this.password.salt).hash);
+    return crypto.timingSafeEqual(given, Buffer.from(this.password.hash));
+  }
+
+  // ----------------------------------------------------------
+  // OWNER SETTINGS (throw with a message for the owner)
+  // ----------------------------------------------------------
+  setRole(userId, role) {
+    if (userId === this.ownerId)
+      throw new Error("The owner's role can't change");
+    if (!MEMBER_ROLES.has(role)) throw new Error("Unknown role");
+    this.roles.set(userId, role);
+  }
+
+  // Newcomers' role; unlisted people already in follow along
+  setDefaultRole(role) {
+    if (!MEMBER_ROLES.has(role)) throw new Error("Unknown role");
+    this.defaultRole = role;
+  }
+
+  // Empty → open the room again. Closing it keeps in everyone who is
+  // currently allowed in (`present`), so nobody is locked out mid-session.
+  setPassword(password, present = []) {
+    if (!password) {
+      this.password = null;
+      return;
+    }
+    for (const userId of present) {
+      const role = this.roleOf(userId);
+      if (role && role !== "owner") this.roles.set(userId, role);
+    }
+    this.password = hashPassword(password);
+  }
+
+  // The token is only ever handed to the owner; the room keeps its hash
+  createInvite(role) {
+    if (!MEMBER_ROLES.has(role)) throw new Error("Unknown role");
+    const token = crypto.randomBytes(18).toString("base64url");
+    this.invites.set(hashInvite(token), role);
+    return token;
+  }
+
+  ban(userId, username = null) {
+    if (userId === this.ownerId) throw new Error("The owner can't be banned");
+    this.banned.set(userId, username);
+  }
+
+  unban(userId) {
+    if (!this.banned.delete(userId)) throw new Error("They are not banned");
+  }
+
+  // ----------------------------------------------------------
+  // SERIALIZATION (part of the room document)
+  // ----------------------------------------------------------
+  toJSON() {
+    return {
+      ownerId: this.ownerId,
+      defaultRole: this.defaultRole,
+      roles: Object.fromEntries(this.roles),
+      password: this.password,
+      invites: Object.fromEntries(this.invites),
+      banned: Object.fromEntries(this.banned),
+    };
+  }
+
+  static fromJSON(data = {}) {
+    const access = new RoomAccess();
+    access.ownerId = data.ownerId || null;
+    if (MEMBER_ROLES.has(data.defaultRole)) {
+      access.defaultRole = data.defaultRole;
+    }
+    access.roles = new Map(Object.entries(data.roles || {}));
+    access.password = data.password || null;
+    access.invites = new Map(Object.entries(data.invites || {}));
+    access.banned = new Map(Object.entries(data.banned || {}));
+    return access;
+  }
+}
+
+RoomAccess.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = { RoomAccess, AccessError };
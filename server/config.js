@@ -0,0 +1,171 @@
+// Central server configuration
+// Every value can be overridden through environment variables
+
+const path = require("path");
+
+function num(name, fallback) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) ? v : fallback;
+}
+
+module.exports = {
+  port: process.env.PORT || 3000,
+
+  // -------------------------
+  // Room persistence
+  // -------------------------
+  storage: {
+    // "file" (default) keeps rooms on disk, "memory" keeps nothing
+    driver: process.env.STORAGE_DRIVER || "file",
+    dir: process.env.STORAGE_DIR || path.join(__dirname, "..", "data", "rooms"),
+
+    // Abandoned rooms (no users, no writes) are deleted after this long.
+    // 0 disables retention cleanup entirely.
+    roomTtlMs: num("ROOM_TTL_MS", 7 * 24 * 60 * 60 * 1000),
+    sweepIntervalMs: num("ROOM_SWEEP_INTERVAL_MS", 60 * 60 * 1000),
+  },
+
+  // -------------------------
+  // Images pasted or dropped onto a board (stored with the room)
+  // -------------------------
+  images: {
+    maxBytes: num("MAX_IMAGE_BYTES", 5 * 1024 * 1024), // per image
+    maxRoomBytes: num("MAX_ROOM_IMAGE_BYTES", 50 * 1024 * 1024), // per room
+  },
+
+  // -------------------------
+  // Chat and comments (kept with the room, see shared/discussion.js)
+  // -------------------------
+  discussion: {
+    maxMessages: num("CHAT_MAX_MESSAGES", 500), // newest kept per room
+    // open comments per room (the oldest resolved ones make room)
+    maxComments: num("MAX_COMMENTS", 200),
+    maxReplies: num("MAX_COMMENT_REPLIES", 100), // per comment
+  },
+
+  // -------------------------
+  // Reconnect resync
+  // -------------------------
+  sync: {
+    // Clients missing more ops than this get a full snapshot instead
+    maxTail: num("SYNC_MAX_TAIL", 1000),
+  },
+
+  // -------------------------
+  // History compaction
+  // -------------------------
+  history: {
+    // Once a room's log passes this many entries, all but the newest
+    // `keepTail` are folded into a checkpoint (undo/redo pairs and
+    // unreachable undone ops are dropped). 0 disables compaction.
+    compactAfter: num("HISTORY_COMPACT_AFTER", 20000),
+    // Keep this above sync.maxTail so short reconnects still get a tail
+    keepTail: num("HISTORY_KEEP_TAIL", 2000),
+
+    // How many of their own changes each user can undo
+    undoDepth: num("UNDO_DEPTH", 100),
+
+    // Layers per board
+    maxLayers: num("MAX_LAYERS", 32),
+  },
+
+  // -------------------------
+  // Payload validation limits
+  // -------------------------
+  validation: {
+    maxCoord: num("MAX_COORD", 1e6), // world coordinates are clamped to ±this
+    minWidth: 1,
+    maxWidth: num("MAX_STROKE_WIDTH", 100),
+    minFontSize: 6,
+    maxFontSize: 200,
+    maxPoints: num("MAX_POINTS_PER_STROKE", 10000),
+    maxBatchSegments: 500,
+    maxTextLength: 2000,
+    maxUsernameLength: 32,
+    maxRoomIdLength: 64,
+    maxTokenLength: 256,
+    maxPasswordLength: 128,
+    maxIdLength: 64,
+    maxLayerNameLength: 40,
+    maxChatLength: 1000, // chat messages, comments and replies
+    maxSelection: 500, // ops one move/scale/recolor/delete may touch
+    minScale: 0.01,
+    maxScale: 100,
+    // paint-bucket fills (same limits as shared/fill.js)
+    maxFillCells: 4e6,
+    maxFillRects: 20000,
+    // socket.io rejects larger messages before they reach any handler
+    maxPayloadBytes: num("MAX_PAYLOAD_BYTES", 1e6),
+  },
+
+  // -------------------------
+  // Rate limiting (token buckets: rate = events/second, burst = bucket size)
+  // -------------------------
+  rateLimit: {
+    perSocket: {
+      join: { rate: 1, burst: 5 },
+      sync: { rate: 2, burst: 5 },
+      stroke: { rate: 120, burst: 240 },
+      "stroke-batch": { rate: 30, burst: 60 },
+      "stroke-complete": { rate: 10, burst: 30 },
+      "stroke-cancel": { rate: 10, burst: 30 },
+      cursor: { rate: 40, burst: 80 },
+      undo: { rate: 10, burst: 20 },
+      redo: { rate: 10, burst: 20 },
+      import: { rate: 0.2, burst: 2 },
+      layer: { rate: 5, burst: 20 },
+      transform: { rate: 10, burst: 30 },
+      delete: { rate: 10, burst: 30 },
+      access: { rate: 2, burst: 10 },
+      moderate: { rate: 2, burst: 10 },
+      chat: { rate: 2, burst: 10 },
+      comment: { rate: 1, burst: 10 },
+      "request-snapshot": { rate: 1, burst: 3 },
+      "ping-check": { rate: 2, burst: 5 },
+    },
+    perRoom: {
+      stroke: { rate: 1500, burst: 3000 },
+      "stroke-batch": { rate: 300, burst: 600 },
+      "stroke-complete": { rate: 100, burst: 300 },
+      cursor: { rate: 600, burst: 1200 },
+    },
+
+    // events that add drawing operations and count against the room cap
+    capEvents: [
+      "stroke-complete",
+      "import",
+      "layer",
+      "transform",
+      "delete",
+      "moderate",
+    ],
+    maxOperationsPerRoom: num("MAX_OPERATIONS_PER_ROOM", 100000),
+
+    // events the sender must hear about when they are throttled: commits
+    // wait in the client's outbox until acked or rejected
+    rejectEvents: ["stroke-complete"],
+
+    // dropped events within the window before warning / disconnecting
+    escalation: {
+      violationWindowMs: 10000,
+      warnAfter: num("RATE_LIMIT_WARN_AFTER", 20),
+      disconnectAfter: num("RATE_LIMIT_DISCONNECT_AFTER", 200),
+    },
+  },
+
+  // -------------------------
+  // Board import
+  // -------------------------
+  import: {
+    maxOperations: num("IMPORT_MAX_OPERATIONS", 5000),
+  },
+
+  // -------------------------
+  // User identity tokens
+  // -------------------------
+  identity: {
+    // HMAC secret used to sign tokens. When unset a random secret is
+    // generated once and kept next to the room files.
+    secret: process.env.IDENTITY_SECRET || null,
+  },
+};
@@ -2,20 +2,189 @@
 // Supports:
 // - Operation-based history with unique IDs
 // - User-owned strokes (only owner can undo/redo)
+// - Per-user undo/redo stacks with a depth limit
 // - Inversion-based undo (append-only history)
 // - Snapshots for efficient redraws
 // - Metadata: user, timestamp, room
+// - Monotonic sequence numbers for incremental resync
 // - Secure per-user permissions
+// - Incrementally maintained active set (no log rescans on undo/redo)
+// - Compaction of old history into a checkpoint
+// - Layers (ordered, hideable, lockable), changed through log entries
+// - Selection edits (move / scale / recolor / delete) as undoable entries
 
 const { v4: uuid } = require("uuid");
+const BoardLayers = require("../shared/layers");
+const BoardTransform = require("../shared/transform");
+const { RoomAccess } = require("./access");
+
+// Operation types that put something on the board (undoable by owner)
+const DRAWABLE_TYPES = new Set(["stroke", "shape", "text", "fill", "image"]);
+
+// Entries that change the board and go on their author's undo stack
+const CHANGE_TYPES = new Set([...DRAWABLE_TYPES, "transform", "delete"]);
+
+// ----------------------------------------------------------
+// PER-USER UNDO/REDO STACKS
+// Pure bookkeeping on op ids, driven by the log:
+//   - a new change goes on its author's undo stack and clears their
+//     redo stack (you cannot redo past a new change)
+//   - undo moves the op from the undo stack to the redo stack
+//   - redo moves it back
+// Undo stacks keep only the newest `depth` entries.
+// ----------------------------------------------------------
+function emptyStacks() {
+  return { undo: new Map(), redo: new Map() };
+}
+
+function cloneStacks(stacks) {
+  const copy = (m) => new Map([...m].map(([user, ids]) => [user, [...ids]]));
+  return { undo: copy(stacks.undo), redo: copy(stacks.redo) };
+}
+
+function stackOf(map, userId) {
+  if (!map.has(userId)) map.set(userId, []);
+  return map.get(userId);
+}
+
+function moveId(from, to, id) {
+  const i = from.lastIndexOf(id);
+  if (i === -1) return false; // not undoable/redoable (e.g. beyond depth)
+  from.splice(i, 1);
+  to.push(id);
+  return true;
+}
+
+function applyToStacks(stacks, op, depth) {
+  if (CHANGE_TYPES.has(op.type)) {
+    const undo = stackOf(stacks.undo, op.userId);
+    undo.push(op.id);
+    if (undo.length > depth) undo.splice(0, undo.length - depth);
+    stacks.redo.delete(op.userId);
+  } else if (op.type === "undo") {
+    const undo = stackOf(stacks.undo, op.userId);
+    moveId(undo, stackOf(stacks.redo, op.userId), op.inverseOf);
+  } else if (op.type === "redo") {
+    const redo = stackOf(stacks.redo, op.userId);
+    moveId(redo, stackOf(stacks.undo, op.userId), op.redoOf);
+  }
+}
+
+// Board order: by seq, then by `sub` for the copies one transform makes
+// (they all share its seq)
+function drawnBefore(a, b) {
+  return a.seq < b.seq || (a.seq === b.seq && (a.sub || 0) < (b.sub || 0));
+}
+
+// ----------------------------------------------------------
+// VISIBLE LIST
+// The ops on the board in drawnBefore order, kept in blocks of at most
+// 2 × BLOCK_SIZE. Showing or hiding an op is a binary search over the
+// blocks, one within a block, and a splice of that block only: undoing
+// a drawing near the bottom of a 100k-op board doesn't move the rest.
+// ----------------------------------------------------------
+const BLOCK_SIZE = 256;
+
+// position of `op` in a sorted array (or where it would go)
+function indexIn(list, op) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (drawnBefore(list[mid], op)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+class VisibleList {
+  constructor() {
+    this.blocks = []; // non-empty arrays, in order
+  }
+
+  // the block `op` is (or belongs) in: the first whose last op isn't
+  // drawn before it, else the last one
+  blockOf(op) {
+    let lo = 0;
+    let hi = this.blocks.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const block = this.blocks[mid];
+      if (drawnBefore(block[block.length - 1], op)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  add(op) {
+    if (this.blocks.length === 0) {
+      this.blocks.push([op]);
+      return;
+    }
+    const b = this.blockOf(op);
+    const block = this.blocks[b];
+    const i = indexIn(block, op);
+    if (block[i] === op) return;
+
+    block.splice(i, 0, op);
+    if (block.length > 2 * BLOCK_SIZE) {
+      this.blocks.splice(b + 1, 0, block.splice(BLOCK_SIZE));
+    }
+  }
+
+  delete(op) {
+    if (this.blocks.length === 0) return;
+    const b = this.blockOf(op);
+    const block = this.blocks[b];
+    const i = indexIn(block, op);
+    if (block[i] !== op) return;
+
+    block.splice(i, 1);
+    if (block.length === 0) this.blocks.splice(b, 1);
+  }
+
+  toArray() {
+    return this.blocks.flat();
+  }
+}
 
 class DrawingState {
-  constructor(roomId) {
+  constructor(
+    roomId,
+    { undoDepth = Infinity, maxLayers = Infinity, sanitize = (op) => op } = {}
+  ) {
     this.roomId = roomId;
+    this.undoDepth = undoDepth;
+    this.maxLayers = maxLayers;
+    this.sanitize = sanitize; // clamps ops built by transform()
+
+    // Owner, roles, password and invites (see access.js); the owner may
+    // edit everyone's drawings
+    this.access = new RoomAccess();
 
     // Append-only list of operations
     this.operations = [];
 
+    // Last assigned sequence number (every op gets seq = ++this.seq)
+    this.seq = 0;
+
+    // Client-generated op id → operation (dedupes offline re-sends)
+    this.byClientId = new Map();
+
+    // Indexes kept up to date by apply() as ops enter the log
+    this.byId = new Map(); // op id → operation (transformed copies too)
+    this.active = new Set(); // ids of changes not currently undone
+    this.replacedBy = new Map(); // op id → number of active ops covering it
+    this.visible = new VisibleList(); // what getActiveOperations() returns
+    this.stacks = emptyStacks(); // userId → op ids (see applyToStacks)
+    this.layers = BoardLayers.defaultLayers(); // bottom first
+
+    // Ops with seq <= checkpointSeq have been compacted: their undo/redo
+    // history is gone, so clients behind it need a full sync. The stacks
+    // as of the checkpoint are kept since they can't be replayed.
+    this.checkpointSeq = 0;
+    this.checkpointStacks = emptyStacks();
+
     // Optional snapshot for faster redraw
     this.snapshot = null;
   }
@@ -24,19 +193,140 @@ class DrawingState {
   // ADD OPERATION (stroke commit)
   // ----------------------------------------------------------
   addOperation(op, userId) {
+    // server-owned fields come last so a payload can never override them
     const operation = {
+      type: "stroke",
+      ...op,
       id: uuid(),
       userId,
       roomId: this.roomId,
-      type: "stroke",
       timestamp: Date.now(),
-      ...op,
     };
 
+    return this.commit(operation);
+  }
+
+  // ----------------------------------------------------------
+  // COMMIT (single place where ops enter the log)
+  // ----------------------------------------------------------
+  commit(operation) {
+    operation.seq = ++this.seq;
     this.operations.push(operation);
+    this.apply(operation);
     return operation;
   }
 
+  // ----------------------------------------------------------
+  // INDEXES (updated per op instead of a log rescan: map/set updates
+  // and binary searches, see VisibleList)
+  // ----------------------------------------------------------
+  apply(op) {
+    this.byId.set(op.id, op);
+    if (op.clientId) this.byClientId.set(op.clientId, op);
+
+    // entries folded into the checkpoint are already in checkpointStacks
+    if (op.seq > this.checkpointSeq) {
+      applyToStacks(this.stacks, op, this.undoDepth);
+    }
+
+    if (op.type === "transform") {
+      for (const copy of op.ops) this.byId.set(copy.id, copy);
+    }
+
+    if (CHANGE_TYPES.has(op.type)) {
+      this.activate(op);
+    } else if (op.type === "undo") {
+      const target = this.byId.get(op.inverseOf);
+      if (target) this.deactivate(target);
+    } else if (op.type === "redo") {
+      const target = this.byId.get(op.redoOf);
+      if (target && CHANGE_TYPES.has(target.type)) this.activate(target);
+    } else if (op.type === "layers") {
+      this.layers = op.layers;
+    }
+  }
+
+  // A transform shows its edited copies, a delete covers its targets, a
+  // drawing shows itself (and, as an edit, covers the op it replaces)
+  activate(op) {
+    if (this.active.has(op.id)) return;
+    this.active.add(op.id);
+
+    if (op.type === "transform") {
+      op.ops.forEach((copy) => this.activate(copy));
+    } else if (op.type === "delete") {
+      op.targets.forEach((id) => this.cover(id));
+    } else {
+      if (!this.replacedBy.has(op.id)) this.show(op);
+      if (op.replaces) this.cover(op.replaces);
+    }
+  }
+
+  deactivate(op) {
+    if (!this.active.delete(op.id)) return;
+
+    if (op.type === "transform") {
+      op.ops.forEach((copy) => this.deactivate(copy));
+    } else if (op.type === "delete") {
+      op.targets.forEach((id) => this.uncover(id));
+    } else {
+      this.hide(op);
+      if (op.replaces) this.uncover(op.replaces);
+    }
+  }
+
+  // An op stays hidden while any active change covers it...
+  cover(id) {
+    const count = this.replacedBy.get(id) || 0;
+    this.replacedBy.set(id, count + 1);
+    const target = this.byId.get(id);
+    if (count === 0 && target) this.hide(target);
+  }
+
+  // ...and comes back (if not undone itself) once none does
+  uncover(id) {
+    const count = this.replacedBy.get(id) - 1;
+    if (count > 0) {
+      this.replacedBy.set(id, count);
+    } else {
+      this.replacedBy.delete(id);
+      if (this.active.has(id)) this.show(this.byId.get(id));
+    }
+  }
+
+  show(op) {
+    this.visible.add(op);
+  }
+
+  hide(op) {
+    this.visible.delete(op);
+  }
+
+  findByClientId(clientId) {
+    return this.byClientId.get(clientId) || null;
+  }
+
+  // ----------------------------------------------------------
+  // INCREMENTAL SYNC
+  // Operations with seq > afterSeq, or null when the caller is too far
+  // behind (or ahead, e.g. after a reset) and needs a full snapshot.
+  // ----------------------------------------------------------
+  getOperationsSince(afterSeq, maxTail = Infinity) {
+    if (afterSeq > this.seq || afterSeq < this.checkpointSeq) return null;
+    if (this.seq - afterSeq > maxTail) return null;
+
+    // seq is strictly increasing → binary search the first newer op
+    let lo = 0;
+    let hi = this.operations.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.operations[mid].seq <= afterSeq) lo = mid + 1;
+      else hi = mid;
+    }
+
+    return this.operations.slice(lo);
+  }
+
   // ----------------------------------------------------------
   // GLOBAL UNDO (any user can undo last stroke — not used now)
   // ----------------------------------------------------------
@@ -53,8 +343,7 @@ class DrawingState {
       timestamp: Date.now(),
     };
 
-    this.operations.push(inverse);
-    return inverse;
+    return this.commit(inverse);
   }
 
   // ----------------------------------------------------------
@@ -75,89 +364,436 @@ class DrawingState {
       timestamp: Date.now(),
     };
 
-    this.operations.push(redoOp);
-    return redoOp;
+    return this.commit(redoOp);
   }
 
   // ----------------------------------------------------------
   // SECURE PER-USER UNDO (core feature)
   // ----------------------------------------------------------
   undoOwn(userId) {
-    // find last stroke created by THIS user only
-    for (let i = this.operations.length - 1; i >= 0; i--) {
-      const op = this.operations[i];
-
-      // skip non-stroke operations
-      if (op.type !== "stroke") continue;
-
-      // only undo user's own strokes
-      if (op.userId !== userId) continue;
-
-      const inverse = {
-        id: uuid(),
-        userId,
-        roomId: this.roomId,
-        type: "undo",
-        inverseOf: op.id,
-        timestamp: Date.now(),
-      };
+    // newest op on THIS user's undo stack (only their own changes)
+    const op = this.topUndoable(this.stacks.undo.get(userId), "undo");
+    if (!op) return null; // nothing (left) to undo
 
-      this.operations.push(inverse);
-      return inverse;
-    }
+    const inverse = {
+      id: uuid(),
+      userId,
+      roomId: this.roomId,
+      type: "undo",
+      inverseOf: op.id,
+      timestamp: Date.now(),
+    };
 
-    return null; // user owns no strokes to undo
+    return this.commit(inverse);
   }
 
   // ----------------------------------------------------------
   // SECURE PER-USER REDO
   // ----------------------------------------------------------
   redoOwn(userId) {
-    // find last undo done by THIS user
-    for (let i = this.operations.length - 1; i >= 0; i--) {
-      const op = this.operations[i];
-
-      if (op.type !== "undo") continue;
-      if (op.userId !== userId) continue;
-
-      const redoOp = {
-        id: uuid(),
-        userId,
-        roomId: this.roomId,
-        type: "redo",
-        redoOf: op.inverseOf,
-        timestamp: Date.now(),
+    // most recently undone op of THIS user (cleared by any new drawing)
+    const op = this.topUndoable(this.stacks.redo.get(userId), "redo");
+    if (!op) return null; // nothing to redo
+
+    const redoOp = {
+      id: uuid(),
+      userId,
+      roomId: this.roomId,
+      type: "redo",
+      redoOf: op.id,
+      timestamp: Date.now(),
+    };
+
+    return this.commit(redoOp);
+  }
+
+  // Newest op on a stack that can be undone (or redone) right now.
+  // Ops on locked layers stay put (unlocking makes them undoable again),
+  // ops on deleted layers are never picked, and neither are changes to
+  // drawings someone has edited since (the edit would stay on top).
+  topUndoable(ids = [], direction) {
+    for (let i = ids.length - 1; i >= 0; i--) {
+      const op = this.byId.get(ids[i]);
+      if (op && this.canToggle(op, direction)) return op;
+    }
+    return null;
+  }
+
+  canToggle(op, direction) {
+    // what the op puts on the board, and what it covers
+    const shown =
+      op.type === "transform" ? op.ops : op.type === "delete" ? [] : [op];
+    const covered = (
+      op.type === "transform" || op.type === "delete"
+        ? op.targets
+        : [op.replaces].filter(Boolean)
+    )
+      .map((id) => this.byId.get(id))
+      .filter(Boolean);
+
+    const writable = (o) => this.writableLayer(BoardLayers.layerOf(o));
+    if (![...shown, ...covered].every(writable)) return false;
+
+    // undo: what we show must still be on top; redo: what we'd cover must
+    // still be there, not undone or edited meanwhile
+    const onTop = (o) => this.active.has(o.id) && !this.replacedBy.has(o.id);
+    return (direction === "undo" ? shown : covered).every(onTop);
+  }
+
+  // What the user's Undo/Redo buttons would do right now
+  getUndoState(userId) {
+    return {
+      canUndo: !!this.topUndoable(this.stacks.undo.get(userId), "undo"),
+      canRedo: !!this.topUndoable(this.stacks.redo.get(userId), "redo"),
+    };
+  }
+
+  // ----------------------------------------------------------
+  // SELECTION EDITS (move / scale / recolor / delete)
+  // One log entry per edit, naming every selected op, so a single undo
+  // reverts the whole edit. A transform carries edited copies of its
+  // targets (ids "<entry id>:<n>") that replace them while it is active;
+  // a delete just covers them. Users may edit their own drawings, the
+  // room owner anyone's. Throws with a user-facing message when an edit
+  // isn't possible.
+  // ----------------------------------------------------------
+  editableTargets(ids, userId) {
+    return ids.map((id) => {
+      const op = this.byId.get(id);
+      const onBoard =
+        op &&
+        DRAWABLE_TYPES.has(op.type) &&
+        this.active.has(id) &&
+        !this.replacedBy.has(id);
+      if (!onBoard) throw new Error("Part of the selection was changed");
+      if (!this.writableLayer(BoardLayers.layerOf(op))) {
+        throw new Error("Part of the selection is on a locked layer");
+      }
+      if (op.userId !== userId && userId !== this.access.ownerId) {
+        throw new Error("You can only edit your own drawings");
+      }
+      return op;
+    });
+  }
+
+  // change = { targets, dx, dy, sx, sy, ox, oy, color } (see transform.js)
+  transform(change, userId) {
+    const targets = this.editableTargets(change.targets, userId);
+    const id = uuid();
+    const timestamp = Date.now();
+
+    const ops = targets.map((target, i) => {
+      const { clientId, ...moved } = BoardTransform.transformOp(target, change);
+      return {
+        ...moved,
+        ...this.sanitize(moved),
+        id: `${id}:${i + 1}`,
+        replaces: target.id,
+        transformOf: id,
+        seq: this.seq + 1, // the entry's, assigned by commit()
+        sub: i + 1,
+        timestamp,
       };
+    });
+
+    return this.commit({
+      id,
+      userId,
+      roomId: this.roomId,
+      type: "transform",
+      targets: targets.map((target) => target.id),
+      ops,
+      timestamp,
+    });
+  }
+
+  remove(targetIds, userId) {
+    const targets = this.editableTargets(targetIds, userId);
+    return this.commit({
+      id: uuid(),
+      userId,
+      roomId: this.roomId,
+      type: "delete",
+      targets: targets.map((target) => target.id),
+      timestamp: Date.now(),
+    });
+  }
+
+  // ----------------------------------------------------------
+  // MODERATION (room owner only — the server checks the role)
+  // Clearing the board or removing someone's drawings is one delete entry
+  // by the owner, tagged with `moderation`: history keeps everything and
+  // the owner can undo it. Drawings on locked layers stay. Undoing
+  // someone's drawing is an undo entry like the author's own, except that
+  // it lands on nobody's redo stack.
+  // ----------------------------------------------------------
+  removeWhere(match, userId, details) {
+    const targets = this.visible
+      .toArray()
+      .filter((op) => match(op) && this.writableLayer(BoardLayers.layerOf(op)));
+    if (targets.length === 0) throw new Error("There is nothing to remove");
+
+    return this.commit({
+      id: uuid(),
+      userId,
+      roomId: this.roomId,
+      type: "delete",
+      targets: targets.map((target) => target.id),
+      ...details,
+      timestamp: Date.now(),
+    });
+  }
+
+  clear(userId) {
+    return this.removeWhere(() => true, userId, { moderation: "clear" });
+  }
+
+  removeDrawingsBy(authorId, userId) {
+    return this.removeWhere((op) => op.userId === authorId, userId, {
+      moderation: "remove-user",
+      authorId,
+    });
+  }
+
+  // Undoes the change that put drawing `id` where it is: the drawing
+  // itself, or the move/scale/recolor that made this copy of it
+  undoDrawing(id, userId) {
+    const drawing = this.byId.get(id);
+    const onBoard =
+      drawing &&
+      DRAWABLE_TYPES.has(drawing.type) &&
+      this.active.has(id) &&
+      !this.replacedBy.has(id);
+    if (!onBoard) throw new Error("That drawing was changed");
+
+    const change = this.byId.get(drawing.transformOf || drawing.id);
+    if (!this.canToggle(change, "undo")) {
+      throw new Error("That change was edited since or is on a locked layer");
+    }
+
+    return this.commit({
+      id: uuid(),
+      userId,
+      roomId: this.roomId,
+      type: "undo",
+      inverseOf: change.id,
+      moderation: "undo-stroke",
+      timestamp: Date.now(),
+    });
+  }
+
+  // ----------------------------------------------------------
+  // LAYERS
+  // Each change is a log entry carrying the whole resulting list (it is
+  // small), so replay, sync tails, playback and persistence work as for
+  // any other entry. Throws with a user-facing message when a change
+  // isn't possible.
+  // ----------------------------------------------------------
+  getLayer(layerId) {
+    return this.layers.find((layer) => layer.id === layerId) || null;
+  }
+
+  // The layer new drawings may go on, or null when it's gone or locked
+  writableLayer(layerId) {
+    const layer = this.getLayer(layerId);
+    return layer && !layer.locked ? layer : null;
+  }
 
-      this.operations.push(redoOp);
-      return redoOp;
+  changeLayers(change, userId) {
+    const layers = this.layers.map((layer) => ({ ...layer }));
+    let layerId = change.layerId;
+
+    if (change.action === "create") {
+      if (layers.length >= this.maxLayers) {
+        throw new Error(`A board can have at most ${this.maxLayers} layers`);
+      }
+      layerId = uuid();
+      layers.push({
+        id: layerId,
+        name: change.name,
+        visible: true,
+        locked: false,
+      });
+    } else {
+      const index = layers.findIndex((layer) => layer.id === layerId);
+      const layer = layers[index];
+      if (!layer) throw new Error("That layer no longer exists");
+
+      if (change.action === "rename") {
+        layer.name = change.name;
+      } else if (change.action === "set") {
+        if (change.visible !== undefined) layer.visible = change.visible;
+        if (change.locked !== undefined) layer.locked = change.locked;
+      } else if (change.action === "move") {
+        layers.splice(index, 1);
+        layers.splice(Math.min(change.index, layers.length), 0, layer);
+      } else if (change.action === "delete") {
+        if (layer.locked) throw new Error("Unlock the layer to delete it");
+        if (layers.length === 1) throw new Error("The last layer can't go");
+        layers.splice(index, 1);
+      }
     }
 
-    return null; // nothing to redo
+    return this.commit({
+      id: uuid(),
+      userId,
+      roomId: this.roomId,
+      type: "layers",
+      action: change.action,
+      layerId,
+      layers,
+      timestamp: Date.now(),
+    });
   }
 
   // ----------------------------------------------------------
-  // ACTIVE OPERATIONS (after undo/redo effects)
+  // ACTIVE OPERATIONS (after undo/redo effects and edits), oldest first
   // ----------------------------------------------------------
   getActiveOperations() {
-    const active = new Map();
+    return this.visible.toArray();
+  }
+
+  // ----------------------------------------------------------
+  // COMPACTION
+  // Folds everything but the newest `keepTail` entries into a
+  // checkpoint: undo/redo entries and undone ops nobody can reach any
+  // more are dropped. Kept:
+  //   - changes active at the cut (visible, hidden by an edit, or a
+  //     transform/delete in effect)
+  //   - ops the kept tail still points at (undo, redo, replaces, targets)
+  //   - everything on a user's undo/redo stack (then or now)
+  // plus, for a kept op that is undone at the cut, its last undo/redo
+  // entry — so replaying the compacted log yields the same state.
+  // Returns the number of entries removed.
+  // ----------------------------------------------------------
+  compact(keepTail) {
+    const cut = this.operations.length - keepTail;
+    if (cut <= 0) return 0;
+
+    const prefix = this.operations.slice(0, cut);
+    const tail = this.operations.slice(cut);
+
+    // nothing new since the last checkpoint (it never moves backwards)
+    if (prefix[prefix.length - 1].seq <= this.checkpointSeq) return 0;
+
+    // State at the cut, and the last undo/redo touching each op
+    const activeAtCut = new Set();
+    const lastChange = new Map(); // op id → undo/redo entry
+    let lastLayers = null; // the layer list at the cut
+    for (const op of prefix) {
+      if (op.type === "layers") {
+        lastLayers = op;
+      } else if (CHANGE_TYPES.has(op.type)) {
+        activeAtCut.add(op.id);
+      } else if (op.type === "undo") {
+        activeAtCut.delete(op.inverseOf);
+        lastChange.set(op.inverseOf, op);
+      } else if (op.type === "redo") {
+        activeAtCut.add(op.redoOf);
+        lastChange.set(op.redoOf, op);
+      }
+    }
 
-    for (const op of this.operations) {
-      if (op.type === "stroke") {
-        active.set(op.id, op); // add stroke
+    // Stacks at the cut: the previous checkpoint + entries since then
+    const stacksAtCut = cloneStacks(this.checkpointStacks);
+    for (const op of prefix) {
+      if (op.seq > this.checkpointSeq) {
+        applyToStacks(stacksAtCut, op, this.undoDepth);
       }
+    }
 
-      if (op.type === "undo") {
-        active.delete(op.inverseOf); // remove stroke
+    // Ops (transformed copies included) an entry points at, as the log
+    // entries holding them
+    const entryOf = (id) => {
+      const op = this.byId.get(id);
+      return op && op.transformOf ? op.transformOf : id;
+    };
+    const refs = (op) =>
+      [
+        op.inverseOf,
+        op.redoOf,
+        op.replaces,
+        ...(op.targets || []),
+        ...(op.ops || []).map((copy) => copy.replaces),
+      ]
+        .filter(Boolean)
+        .map(entryOf);
+
+    // (deleted layers never come back → their drawings can go)
+    const keep = new Set(
+      [...activeAtCut].filter((id) => {
+        const op = this.byId.get(id);
+        return (
+          !DRAWABLE_TYPES.has(op.type) || this.getLayer(BoardLayers.layerOf(op))
+        );
+      })
+    );
+    if (lastLayers) keep.add(lastLayers.id);
+    for (const op of tail) refs(op).forEach((id) => keep.add(id));
+    for (const stacks of [this.stacks, stacksAtCut]) {
+      for (const map of [stacks.undo, stacks.redo]) {
+        for (const ids of map.values()) ids.forEach((id) => keep.add(id));
       }
+    }
 
-      if (op.type === "redo") {
-        const original = this.operations.find((o) => o.id === op.redoOf);
-        if (original) active.set(original.id, original);
+    // edits need whatever they replace, cover or transform (undoing the
+    // edit restores it)
+    const pending = [...keep];
+    while (pending.length) {
+      const op = this.byId.get(pending.pop());
+      if (!op) continue;
+      for (const ref of refs(op)) {
+        if (keep.has(ref)) continue;
+        keep.add(ref);
+        pending.push(ref);
       }
     }
 
-    return [...active.values()].sort((a, b) => a.timestamp - b.timestamp);
+    // kept ops that are undone at the cut must replay as undone
+    for (const id of keep) {
+      const change = lastChange.get(id);
+      if (change && !activeAtCut.has(id)) keep.add(change.id);
+    }
+
+    const kept = prefix.filter((op) => keep.has(op.id));
+    const removed = prefix.length - kept.length;
+
+    this.checkpointSeq = prefix[prefix.length - 1].seq;
+    this.checkpointStacks = stacksAtCut;
+    this.rebuild([...kept, ...tail]);
+    return removed;
+  }
+
+  // Replace the log and recompute every index from it
+  rebuild(operations) {
+    this.operations = [];
+    this.byClientId.clear();
+    this.byId.clear();
+    this.active.clear();
+    this.replacedBy.clear();
+    this.visible = new VisibleList();
+    this.stacks = cloneStacks(this.checkpointStacks);
+    this.layers = BoardLayers.defaultLayers();
+
+    for (const op of operations) {
+      this.operations.push(op);
+      this.apply(op);
+    }
+  }
+
+  // ----------------------------------------------------------
+  // EDITS (a new op that supersedes an older one, e.g. text)
+  // Only the author may replace an op, only with the same type and on
+  // the same layer.
+  // ----------------------------------------------------------
+  canReplace(targetId, type, userId, layerId) {
+    const target = this.byId.get(targetId);
+    return (
+      !!target &&
+      target.type === type &&
+      target.userId === userId &&
+      BoardLayers.layerOf(target) === layerId
+    );
   }
 
   // ----------------------------------------------------------
@@ -167,6 +803,7 @@ class DrawingState {
     this.snapshot = {
       pngBase64,
       opIndex: this.operations.length,
+      seq: this.seq,
       timestamp: Date.now(),
     };
   }
@@ -179,12 +816,52 @@ class DrawingState {
   // SERIALIZATION
   // ----------------------------------------------------------
   toJSON() {
+    const plain = (map) => Object.fromEntries(map);
     return {
       roomId: this.roomId,
+      access: this.access.toJSON(),
+      seq: this.seq,
+      checkpointSeq: this.checkpointSeq,
+      checkpointStacks: {
+        undo: plain(this.checkpointStacks.undo),
+        redo: plain(this.checkpointStacks.redo),
+      },
       operations: this.operations,
       snapshot: this.snapshot,
     };
   }
+
+  static fromJSON(data, options) {
+    const state = new DrawingState(data.roomId, options);
+    // (documents from before access control only had an owner)
+    state.access = RoomAccess.fromJSON(
+      data.access || { ownerId: data.ownerId }
+    );
+    state.snapshot = data.snapshot || null;
+    state.checkpointSeq = data.checkpointSeq || 0;
+    if (data.checkpointStacks) {
+      state.checkpointStacks = cloneStacks({
+        undo: new Map(Object.entries(data.checkpointStacks.undo || {})),
+        redo: new Map(Object.entries(data.checkpointStacks.redo || {})),
+      });
+    }
+
+    // older documents predate seq numbers → number them in log order
+    let seq = 0;
+    for (const op of data.operations || []) {
+      if (!op.seq || op.seq <= seq) op.seq = seq + 1;
+      seq = op.seq;
+    }
+    state.rebuild(data.operations || []);
+
+    // the counter is saved too, so numbering never restarts below it
+    state.seq = Math.max(seq, data.seq || 0);
+    return state;
+  }
 }
 
+DrawingState.DRAWABLE_TYPES = DRAWABLE_TYPES;
+DrawingState.CHANGE_TYPES = CHANGE_TYPES;
+DrawingState.applyToStacks = applyToStacks;
+
 module.exports = DrawingState;
@@ -0,0 +1,76 @@
+// Stable user identity across reconnects
+// The server issues a signed token on first join; the client stores it and
+// re-presents it on every join so the same person keeps the same userId
+// (and therefore their strokes, undo history and color).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { v4: uuid } = require("uuid");
+
+const config = require("./config");
+
+class IdentityService {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  sign(userId) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(userId)
+      .digest("base64url");
+  }
+
+  // -------------------------
+  // New identity
+  // -------------------------
+  issue() {
+    const userId = uuid();
+    return { userId, token: `${userId}.${this.sign(userId)}` };
+  }
+
+  // -------------------------
+  // Token → userId (null when forged or malformed)
+  // -------------------------
+  verify(token) {
+    if (typeof token !== "string") return null;
+
+    const dot = token.lastIndexOf(".");
+    if (dot <= 0) return null;
+
+    const userId = token.slice(0, dot);
+    const given = Buffer.from(token.slice(dot + 1));
+    const expected = Buffer.from(this.sign(userId));
+
+    if (given.length !== expected.length) return null;
+    return crypto.timingSafeEqual(given, expected) ? userId : null;
+  }
+
+  // -------------------------
+  // Reuse a valid token or hand out a fresh one
+  // -------------------------
+  resolve(token) {
+    const userId = this.verify(token);
+    return userId ? { userId, token } : this.issue();
+  }
+}
+
+// Tokens must outlive restarts as long as the rooms do, so a generated
+// secret is kept alongside the stored rooms.
+function loadSecret() {
+  if (config.identity.secret) return config.identity.secret;
+  if (config.storage.driver !== "file") {
+    return crypto.randomBytes(32).toString("hex");
+  }
+
+  const file = path.join(config.storage.dir, "..", "identity.secret");
+  if (fs.existsSync(file)) return fs.readFileSync(file, "utf8").trim();
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+module.exports = new IdentityService(loadSecret());
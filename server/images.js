@@ -0,0 +1,38 @@
+// Pictures pasted or dropped onto a board
+// - Uploaded over HTTP, stored next to their room (see storage.js) and
+//   drawn by `image` ops that name them by imageId.
+// - The imageId is derived from the content, `<sha256>.<ext>`, so the
+//   same picture added twice is stored once.
+// - Only formats every browser draws and none can run script; the type is
+//   read from the file's first bytes, never from what the uploader claims.
+
+const crypto = require("crypto");
+
+// First bytes of each format (read as latin1)
+const FORMATS = [
+  { ext: "png", type: "image/png", magic: /^\x89PNG/ },
+  { ext: "jpg", type: "image/jpeg", magic: /^\xff\xd8\xff/ },
+  { ext: "gif", type: "image/gif", magic: /^GIF8[79]a/ },
+  { ext: "webp", type: "image/webp", magic: /^RIFF....WEBP/s },
+];
+
+const IMAGE_ID = /^[0-9a-f]{64}\.(png|jpg|gif|webp)$/;
+
+// imageId for an uploaded file, or an Error for the uploader
+function imageIdOf(data) {
+  const head = Buffer.isBuffer(data) ? data.toString("latin1", 0, 12) : "";
+  const format = FORMATS.find(({ magic }) => magic.test(head));
+  if (!format) {
+    throw new Error("Only PNG, JPEG, GIF and WebP images can be added");
+  }
+
+  const hash = crypto.createHash("sha256").update(data).digest("hex");
+  return `${hash}.${format.ext}`;
+}
+
+function contentType(imageId) {
+  const ext = imageId.slice(imageId.lastIndexOf(".") + 1);
+  return FORMATS.find((format) => format.ext === ext).type;
+}
+
+module.exports = { IMAGE_ID, imageIdOf, contentType };
@@ -0,0 +1,198 @@
+// Per-connection and per-room rate limiting for socket events
+// - Token buckets per socket and per room, one per event type
+// - Escalation for a misbehaving socket: drop → warn → disconnect
+// - A cap on drawing operations stored per room
+// - Counters for monitoring (served at GET /metrics)
+
+class TokenBucket {
+  constructor(rate, burst, now = Date.now()) {
+    this.rate = rate; // tokens per second
+    this.burst = burst; // bucket size
+    this.tokens = burst;
+    this.last = now;
+  }
+
+  take(now = Date.now()) {
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.last) * this.rate) / 1000
+    );
+    this.last = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+// What the sender hears when an event is throttled (dropped events are
+// silent unless they are in `rejectEvents`)
+const THROTTLED = {
+  drop: "Sent too fast, try again in a moment",
+  warn: "Too many messages — slow down or you will be disconnected",
+  disconnect: "Disconnected for flooding",
+};
+
+class RateLimiter {
+  // countRoomOps(roomId) → number of ops stored, for the room cap
+  constructor(limits, { countRoomOps } = {}) {
+    this.limits = limits;
+    this.countRoomOps = countRoomOps || (() => 0);
+
+    this.sockets = new Map(); // socketId → { buckets, violations, since, warned }
+    this.rooms = new Map(); // roomId → Map(event → TokenBucket)
+
+    this.counters = {
+      events: {}, // event → { allowed, dropped }
+      warnings: 0,
+      disconnects: 0,
+      roomCapRejections: 0,
+    };
+  }
+
+  // -------------------------
+  // Buckets
+  // -------------------------
+  bucketFor(owner, limit, event, now) {
+    if (!owner.has(event)) {
+      owner.set(event, new TokenBucket(limit.rate, limit.burst, now));
+    }
+    return owner.get(event);
+  }
+
+  socketState(socketId, now) {
+    if (!this.sockets.has(socketId)) {
+      this.sockets.set(socketId, {
+        buckets: new Map(),
+        violations: 0,
+        since: now,
+        warned: false,
+      });
+    }
+    return this.sockets.get(socketId);
+  }
+
+  count(event, key) {
+    const c = (this.counters.events[event] ||= { allowed: 0, dropped: 0 });
+    c[key]++;
+  }
+
+  // -------------------------
+  // Decision for one incoming event:
+  //   "ok" | "drop" | "warn" | "disconnect" | "room-full"
+  // -------------------------
+  check(socketId, roomId, event, now = Date.now()) {
+    const socketLimit = this.limits.perSocket[event];
+    const roomLimit = roomId && this.limits.perRoom[event];
+    const state = this.socketState(socketId, now);
+
+    const socketOk =
+      !socketLimit ||
+      this.bucketFor(state.buckets, socketLimit, event, now).take(now);
+
+    if (!socketOk) {
+      this.count(event, "dropped");
+      return this.escalate(state, now);
+    }
+
+    // Room-wide budget: busy rooms shed load, nobody is punished for it
+    if (roomLimit) {
+      if (!this.rooms.has(roomId)) this.rooms.set(roomId, new Map());
+      const bucket = this.bucketFor(
+        this.rooms.get(roomId),
+        roomLimit,
+        event,
+        now
+      );
+      if (!bucket.take(now)) {
+        this.count(event, "dropped");
+        return "drop";
+      }
+    }
+
+    if (
+      roomId &&
+      this.limits.capEvents.includes(event) &&
+      this.countRoomOps(roomId) >= this.limits.maxOperationsPerRoom
+    ) {
+      this.count(event, "dropped");
+      this.counters.roomCapRejections++;
+      return "room-full";
+    }
+
+    this.count(event, "allowed");
+    return "ok";
+  }
+
+  escalate(state, now) {
+    const { violationWindowMs, warnAfter, disconnectAfter } =
+      this.limits.escalation;
+
+    // violations are forgiven after a quiet window
+    if (now - state.since > violationWindowMs) {
+      state.violations = 0;
+      state.since = now;
+      state.warned = false;
+    }
+    state.violations++;
+
+    if (state.violations >= disconnectAfter) {
+      this.counters.disconnects++;
+      return "disconnect";
+    }
+    if (state.violations >= warnAfter && !state.warned) {
+      state.warned = true;
+      this.counters.warnings++;
+      return "warn";
+    }
+    return "drop";
+  }
+
+  // -------------------------
+  // Socket.io middleware: (ctx, next) with
+  // ctx = { socket, event, payload, reject(reason) }
+  // -------------------------
+  middleware() {
+    return (ctx, next) => {
+      const { socket, event } = ctx;
+      const verdict = this.check(socket.id, socket.roomId, event);
+
+      if (verdict === "ok") return next();
+
+      if (verdict === "room-full") {
+        ctx.reject(
+          `Room is full (${this.limits.maxOperationsPerRoom} operations)`
+        );
+        return;
+      }
+
+      const reason = THROTTLED[verdict];
+      if (this.limits.rejectEvents.includes(event)) ctx.reject(reason);
+      if (verdict === "drop") return;
+
+      socket.emit("rate-limited", { event, reason });
+      if (verdict === "disconnect") socket.disconnect(true);
+    };
+  }
+
+  // -------------------------
+  // Housekeeping
+  // -------------------------
+  forgetSocket(socketId) {
+    this.sockets.delete(socketId);
+  }
+
+  forgetRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  getMetrics() {
+    return {
+      ...this.counters,
+      trackedSockets: this.sockets.size,
+      trackedRooms: this.rooms.size,
+    };
+  }
+}
+
+module.exports = { RateLimiter, TokenBucket };
@@ -3,66 +3,342 @@
 // Works with WebSocketClient + CanvasSystem architecture
 
 const DrawingState = require("./drawing-state");
-
-function uuid() {
-  return Math.random().toString(36).substring(2) + Date.now().toString(36);
-}
+const Discussion = require("../shared/discussion");
+const config = require("./config");
+const { createStore } = require("./storage");
+const { operation } = require("./validation");
+const { IMAGE_ID, imageIdOf } = require("./images");
+const { v4: uuid } = require("uuid");
 
 class RoomManager {
-  constructor() {
-    this.rooms = new Map(); // roomId → { users, drawingState }
+  constructor({ store, roomTtlMs, history, discussion } = {}) {
+    this.rooms = new Map(); // roomId → { users, drawingState } (loaded rooms only)
+    this.store = store || createStore(config.storage);
+    this.roomTtlMs = roomTtlMs ?? config.storage.roomTtlMs;
+    this.history = history || config.history;
+    this.discussionLimits = discussion || config.discussion;
+    this.sweepTimer = null;
+    // roomId → RoomAccess of stored rooms that aren't loaded, kept from
+    // their last unload (or read) so image requests don't re-parse them
+    this.storedAccess = new Map();
   }
 
   // -------------------------
-  // Ensure room exists
+  // Ensure room exists (rehydrated from storage if known)
   // -------------------------
   getRoom(roomId) {
     if (!this.rooms.has(roomId)) {
+      // (a corrupt document throws here; the room stays unloaded)
+      let saved, chat;
+      try {
+        saved = this.store.load(roomId);
+        chat = this.store.loadChat(roomId);
+      } catch (err) {
+        throw new Error(`Room "${roomId}" could not be loaded: ${err.message}`);
+      }
+
       this.rooms.set(roomId, {
         id: roomId,
-        users: new Map(), // socketId → user object
-        drawingState: new DrawingState(roomId),
+        users: new Map(), // userId → user object (with its socket sessions)
+        drawingState: saved
+          ? DrawingState.fromJSON(saved, this.stateOptions())
+          : new DrawingState(roomId, this.stateOptions()),
+        discussion: Discussion.fromEntries(chat, this.discussionLimits),
+        chatLogged: chat.length, // entries in the stored chat log
+        images: this.listImages(roomId), // imageId → size
       });
+      // the live access is the one that changes from now on
+      this.storedAccess.delete(roomId);
     }
     return this.rooms.get(roomId);
   }
 
   // -------------------------
-  // User join
+  // Read-only access (HTTP export) — never keeps the room loaded
   // -------------------------
-  addUser(roomId, socketId, username) {
-    const room = this.getRoom(roomId);
-    const color = this.assignColor(socketId);
+  readRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) return room.drawingState;
+
+    const saved = this.store.load(roomId);
+    if (!saved) return null;
+
+    const state = DrawingState.fromJSON(saved, this.stateOptions());
+    this.storedAccess.set(roomId, state.access);
+    return state;
+  }
+
+  // Who may read the room (see readRoom), or null for an unknown room
+  readAccess(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) return room.drawingState.access;
+    if (this.storedAccess.has(roomId)) return this.storedAccess.get(roomId);
+
+    const state = this.readRoom(roomId);
+    return state && state.access;
+  }
 
-    room.users.set(socketId, {
-      id: socketId,
-      username,
-      color,
+  stateOptions() {
+    return {
+      undoDepth: this.history.undoDepth,
+      maxLayers: this.history.maxLayers,
+      // moved/scaled copies get the same limits as drawn ops
+      sanitize: operation,
+    };
+  }
+
+  // -------------------------
+  // Persistence
+  // -------------------------
+  persist(roomId, op) {
+    if (!op) return op;
+    this.store.append(roomId, op);
+    this.scheduleCompaction(roomId);
+    return op;
+  }
+
+  // Fold old history into a checkpoint once the log gets long; the full
+  // document is rewritten so the append log starts over as well.
+  // A log that is mostly live drawing barely shrinks, so the next run
+  // waits for another (compactAfter - keepTail) entries either way.
+  dueForCompaction(room) {
+    const { compactAfter } = this.history;
+    const length = room.drawingState.operations.length;
+    return !!compactAfter && length > (room.compactAt || compactAfter);
+  }
+
+  // Compaction rewrites the whole document, which takes a while in a big
+  // room, so it never runs inside the event that triggered it: the ack
+  // and broadcast go out first, and a burst of ops (an import) runs it
+  // once
+  scheduleCompaction(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room.compacting || !this.dueForCompaction(room)) return;
+
+    room.compacting = setImmediate(() => {
+      room.compacting = null;
+      // unloaded meanwhile: unloadRoom already wrote the full document
+      if (this.rooms.get(roomId) !== room) return;
+      try {
+        this.compactIfNeeded(roomId);
+      } catch (err) {
+        console.error(`Compacting room "${roomId}" failed:`, err);
+      }
     });
+  }
+
+  compactIfNeeded(roomId) {
+    const { compactAfter, keepTail } = this.history;
+    const room = this.rooms.get(roomId);
+    if (!this.dueForCompaction(room)) return;
+
+    const state = room.drawingState;
+    state.compact(keepTail);
+    room.compactAt = Math.max(
+      compactAfter,
+      state.operations.length + compactAfter - keepTail
+    );
+    this.store.save(roomId, state.toJSON());
+  }
+
+  // Write the full document and drop the room from memory
+  unloadRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    this.store.save(roomId, room.drawingState.toJSON());
+    this.rooms.delete(roomId);
+    this.storedAccess.set(roomId, room.drawingState.access);
+  }
+
+  // Delete stored rooms nobody has touched within the TTL
+  sweepExpired(now = Date.now()) {
+    if (!this.roomTtlMs) return [];
+
+    const expired = this.store
+      .list()
+      .filter(({ roomId, updatedAt }) => {
+        return !this.rooms.has(roomId) && now - updatedAt > this.roomTtlMs;
+      })
+      .map(({ roomId }) => roomId);
+
+    for (const roomId of expired) {
+      this.store.remove(roomId);
+      this.storedAccess.delete(roomId);
+    }
+    return expired;
+  }
+
+  startRetentionSweep(intervalMs = config.storage.sweepIntervalMs) {
+    if (this.sweepTimer || !this.roomTtlMs) return;
+    this.sweepTimer = setInterval(() => this.sweepExpired(), intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  // -------------------------
+  // Access (see access.js): the role a joining user gets, or an
+  // AccessError when the room won't let them in
+  // -------------------------
+  admit(roomId, userId, credentials) {
+    const room = this.getRoom(roomId);
+    const access = room.drawingState.access;
+    const known = () => access.ownerId === userId || access.roles.has(userId);
+    const wasKnown = known();
+
+    let role;
+    try {
+      role = access.admit(userId, credentials);
+    } catch (err) {
+      // loaded just to check → don't keep it around
+      if (room.users.size === 0) this.rooms.delete(roomId);
+      throw err;
+    }
+
+    // new owner, or let in by password/invite: remember them
+    if (!wasKnown && known()) {
+      this.store.save(roomId, room.drawingState.toJSON());
+    }
+    return role;
+  }
+
+  getRole(roomId, userId) {
+    return this.getRoom(roomId).drawingState.access.roleOf(userId);
+  }
+
+  // Owner settings: { action: "role", userId, role } |
+  // { action: "default-role", role } | { action: "password", password } |
+  // { action: "invite", role } (→ the invite token). Throws with a message
+  // for the owner when the change isn't possible.
+  changeAccess(roomId, change) {
+    const room = this.getRoom(roomId);
+    const access = room.drawingState.access;
+
+    let result = null;
+    if (change.action === "role") access.setRole(change.userId, change.role);
+    if (change.action === "default-role") access.setDefaultRole(change.role);
+    if (change.action === "password") {
+      access.setPassword(change.password, [...room.users.keys()]);
+    }
+    if (change.action === "invite") result = access.createInvite(change.role);
+
+    this.store.save(roomId, room.drawingState.toJSON());
+    return result;
+  }
+
+  // What the owner's settings panel shows (never the secrets themselves)
+  getAccessSettings(roomId) {
+    const access = this.getRoom(roomId).drawingState.access;
+    return {
+      closed: access.closed,
+      defaultRole: access.defaultRole,
+      banned: [...access.banned].map(([userId, username]) => ({
+        userId,
+        username,
+      })),
+    };
+  }
+
+  // -------------------------
+  // Moderation (owner only): { action: "kick" | "ban" | "unban" |
+  // "remove-user", userId } | { action: "clear" } |
+  // { action: "undo-stroke", targetId }. Returns the log entry a
+  // clean-up made (null for kick/ban/unban — the server removes the
+  // sessions); throws with a message for the owner when not possible.
+  // -------------------------
+  moderate(roomId, command, userId) {
+    const room = this.getRoom(roomId);
+    const state = room.drawingState;
+    const { action } = command;
+
+    if (action === "kick") {
+      if (command.userId === state.access.ownerId) {
+        throw new Error("The owner can't be removed");
+      }
+      if (!room.users.has(command.userId)) throw new Error("They already left");
+    }
+    if (action === "ban") {
+      const name = this.displayName(roomId, command.userId);
+      state.access.ban(command.userId, name);
+    }
+    if (action === "unban") state.access.unban(command.userId);
+    if (action === "ban" || action === "unban") {
+      this.store.save(roomId, state.toJSON());
+    }
 
-    return room.users.get(socketId);
+    if (action === "clear") return this.persist(roomId, state.clear(userId));
+    if (action === "remove-user") {
+      return this.persist(
+        roomId,
+        state.removeDrawingsBy(command.userId, userId)
+      );
+    }
+    if (action === "undo-stroke") {
+      return this.persist(roomId, state.undoDrawing(command.targetId, userId));
+    }
+    return null;
+  }
+
+  // Name to show for someone who may have left (or been banned)
+  displayName(roomId, userId) {
+    const room = this.getRoom(roomId);
+    const user = room.users.get(userId);
+    if (user) return user.username;
+    return room.drawingState.access.banned.get(userId) || null;
   }
 
   // -------------------------
-  // User leave
+  // User join (one user may have several sessions, e.g. tabs)
   // -------------------------
-  removeUser(roomId, socketId) {
+  addUser(roomId, userId, socketId, username) {
     const room = this.getRoom(roomId);
-    room.users.delete(socketId);
 
-    // Cleanup: delete room if empty
+    let user = room.users.get(userId);
+    if (!user) {
+      user = {
+        id: userId,
+        username,
+        color: this.assignColor(userId),
+        sessions: new Set(),
+      };
+      room.users.set(userId, user);
+    }
+
+    user.username = username;
+    user.sessions.add(socketId);
+    return user;
+  }
+
+  // -------------------------
+  // User leave (session closes)
+  // -------------------------
+  removeUser(roomId, userId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    const user = room.users.get(userId);
+    if (user) {
+      user.sessions.delete(socketId);
+      if (user.sessions.size === 0) room.users.delete(userId);
+    }
+
+    // Cleanup: unload room from memory if empty (it stays on disk)
     if (room.users.size === 0) {
-      this.rooms.delete(roomId);
+      this.unloadRoom(roomId);
     }
   }
 
+  getUser(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.users.get(userId) : undefined;
+  }
+
   // -------------------------
   // Color assignment (stable per user)
   // -------------------------
-  assignColor(socketId) {
+  assignColor(userId) {
     let hash = 0;
-    for (let i = 0; i < socketId.length; i++) {
-      hash = socketId.charCodeAt(i) + ((hash << 5) - hash);
+    for (let i = 0; i < userId.length; i++) {
+      hash = userId.charCodeAt(i) + ((hash << 5) - hash);
     }
     const c = (hash & 0xffffff).toString(16).toUpperCase();
     return "#" + "000000".substring(0, 6 - c.length) + c;
@@ -72,8 +348,17 @@ class RoomManager {
   // User list for client UI
   // -------------------------
   getUsers(roomId) {
-    const room = this.getRoom(roomId);
-    return [...room.users.values()];
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+
+    const access = room.drawingState.access;
+    return [...room.users.values()].map((u) => ({
+      id: u.id,
+      username: u.username,
+      color: u.color,
+      sessions: u.sessions.size,
+      role: access.roleOf(u.id),
+    }));
   }
 
   // -------------------------
@@ -81,7 +366,175 @@ class RoomManager {
   // -------------------------
   addOperation(roomId, operation, userId) {
     const room = this.getRoom(roomId);
-    return room.drawingState.addOperation(operation, userId);
+
+    // the author's name as it was at the time (shown in playback)
+    const user = room.users.get(userId);
+    const op = user ? { ...operation, username: user.username } : operation;
+
+    return this.persist(roomId, room.drawingState.addOperation(op, userId));
+  }
+
+  // Imported drawings become new ops owned by the importer, on one layer
+  // (images only when this room has them: uploads belong to one room)
+  importOperations(roomId, operations, userId, layerId) {
+    return operations
+      .filter((op) => DrawingState.DRAWABLE_TYPES.has(op.type || "stroke"))
+      .filter((op) => op.type !== "image" || this.hasImage(roomId, op.imageId))
+      .map((op) => this.addOperation(roomId, { ...op, layerId }, userId));
+  }
+
+  canReplace(roomId, targetId, type, userId, layerId) {
+    const room = this.getRoom(roomId);
+    return room.drawingState.canReplace(targetId, type, userId, layerId);
+  }
+
+  // -------------------------
+  // Images (see images.js), kept by the store next to the room. They
+  // stay until the room is deleted: undo can always bring an op back.
+  // A loaded room keeps an index of them (imageId → size), so checks
+  // and uploads never list the store.
+  // -------------------------
+  listImages(roomId) {
+    const images = this.store.listImages(roomId);
+    return new Map(images.map(({ imageId, size }) => [imageId, size]));
+  }
+
+  // the loaded room's index (uploads to a room nobody is in list it)
+  imagesOf(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.images : this.listImages(roomId);
+  }
+
+  addImage(roomId, data) {
+    const imageId = imageIdOf(data);
+    const images = this.imagesOf(roomId);
+    if (images.has(imageId)) return imageId;
+
+    let used = 0;
+    for (const size of images.values()) used += size;
+    if (used + data.length > config.images.maxRoomBytes) {
+      throw new Error("This room has no space left for images");
+    }
+    this.store.saveImage(roomId, imageId, data);
+    images.set(imageId, data.length);
+    return imageId;
+  }
+
+  // one file read; a loaded room answers misses from its index
+  getImage(roomId, imageId) {
+    const room = this.rooms.get(roomId);
+    if (!IMAGE_ID.test(imageId) || (room && !room.images.has(imageId))) {
+      return null;
+    }
+    return this.store.loadImage(roomId, imageId);
+  }
+
+  hasImage(roomId, imageId) {
+    return this.imagesOf(roomId).has(imageId);
+  }
+
+  // -------------------------
+  // Chat & comments (see shared/discussion.js). Each entry is appended
+  // to the room's chat log; once it holds more than maxMessages entries
+  // that were dropped, it is rewritten from what is kept.
+  // -------------------------
+  getDiscussion(roomId) {
+    return this.getRoom(roomId).discussion.entries();
+  }
+
+  chat(roomId, userId, text) {
+    const entry = { type: "chat", ...this.said(roomId, userId), text };
+    return this.say(roomId, entry);
+  }
+
+  // { action: "add", x, y, text } | { action: "reply", commentId, text }
+  // | { action: "resolve", commentId, resolved }. Returns the entry;
+  // throws with a message for the user when not possible.
+  comment(roomId, userId, change) {
+    const { discussion } = this.getRoom(roomId);
+    const { maxComments, maxReplies } = this.discussionLimits;
+    const base = this.said(roomId, userId);
+
+    if (change.action === "add") {
+      if (discussion.openComments().length >= maxComments) {
+        throw new Error("Resolve some comments before adding more");
+      }
+      const { x, y, text } = change;
+      return this.say(roomId, { type: "comment", ...base, x, y, text });
+    }
+
+    const comment = discussion.comments.get(change.commentId);
+    if (!comment) throw new Error("That comment is gone");
+    const { commentId } = change;
+
+    if (change.action === "reply") {
+      if (comment.replies.length >= maxReplies) {
+        throw new Error("This thread has too many replies");
+      }
+      const { text } = change;
+      return this.say(roomId, { type: "reply", ...base, commentId, text });
+    }
+
+    const { resolved } = change;
+    return this.say(roomId, { type: "resolve", ...base, commentId, resolved });
+  }
+
+  // Who said it and when
+  said(roomId, userId) {
+    const user = this.getUser(roomId, userId);
+    return {
+      id: uuid(),
+      userId,
+      username: user ? user.username : null,
+      timestamp: Date.now(),
+    };
+  }
+
+  say(roomId, entry) {
+    const room = this.getRoom(roomId);
+    room.discussion.apply(entry);
+    this.store.appendChat(roomId, entry);
+
+    const kept = room.discussion.entries();
+    if (++room.chatLogged > kept.length + this.discussionLimits.maxMessages) {
+      this.store.saveChat(roomId, kept);
+      room.chatLogged = kept.length;
+    }
+    return entry;
+  }
+
+  // -------------------------
+  // Selection edits (throw with a message for the user when not allowed)
+  // -------------------------
+  transformOperations(roomId, change, userId) {
+    const room = this.getRoom(roomId);
+    return this.persist(roomId, room.drawingState.transform(change, userId));
+  }
+
+  deleteOperations(roomId, targets, userId) {
+    const room = this.getRoom(roomId);
+    return this.persist(roomId, room.drawingState.remove(targets, userId));
+  }
+
+  // -------------------------
+  // Layers
+  // -------------------------
+  getLayers(roomId) {
+    return this.getRoom(roomId).drawingState.layers;
+  }
+
+  // Where a new drawing goes: the requested layer (top one if none),
+  // or null when that layer is gone or locked
+  drawingLayer(roomId, layerId) {
+    const state = this.getRoom(roomId).drawingState;
+    const id = layerId || state.layers[state.layers.length - 1].id;
+    return state.writableLayer(id);
+  }
+
+  // Throws (with a message for the user) when the change isn't possible
+  changeLayers(roomId, change, userId) {
+    const room = this.getRoom(roomId);
+    return this.persist(roomId, room.drawingState.changeLayers(change, userId));
   }
 
   // ❌ Disabled: global undo/redo
@@ -100,12 +553,16 @@ class RoomManager {
   // -------------------------
   undoOwn(roomId, userId) {
     const room = this.getRoom(roomId);
-    return room.drawingState.undoOwn(userId);
+    return this.persist(roomId, room.drawingState.undoOwn(userId));
   }
 
   redoOwn(roomId, userId) {
     const room = this.getRoom(roomId);
-    return room.drawingState.redoOwn(userId);
+    return this.persist(roomId, room.drawingState.redoOwn(userId));
+  }
+
+  getUndoState(roomId, userId) {
+    return this.getRoom(roomId).drawingState.getUndoState(userId);
   }
 
   // -------------------------
@@ -116,6 +573,53 @@ class RoomManager {
     return room.drawingState.getActiveOperations();
   }
 
+  // Size of a loaded room's log (0 when not loaded — nothing to cap yet)
+  getOperationCount(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.drawingState.operations.length : 0;
+  }
+
+  // -------------------------
+  // Playback: the whole log in seq order, plus who wrote it
+  // (read-only like readRoom — never keeps the room loaded)
+  // -------------------------
+  getHistory(roomId, state = this.readRoom(roomId)) {
+    if (!state) return null;
+
+    const contributors = {};
+    for (const op of state.operations) {
+      contributors[op.userId] = {
+        username: op.username || contributors[op.userId]?.username || null,
+        color: this.assignColor(op.userId),
+      };
+    }
+
+    return {
+      roomId,
+      seq: state.seq,
+      checkpointSeq: state.checkpointSeq,
+      ops: state.operations,
+      layers: state.layers,
+      contributors,
+    };
+  }
+
+  // -------------------------
+  // Incremental resync
+  // -------------------------
+  getSeq(roomId) {
+    return this.getRoom(roomId).drawingState.seq;
+  }
+
+  getOperationsSince(roomId, afterSeq) {
+    const room = this.getRoom(roomId);
+    return room.drawingState.getOperationsSince(afterSeq, config.sync.maxTail);
+  }
+
+  findByClientId(roomId, clientId) {
+    return this.getRoom(roomId).drawingState.findByClientId(clientId);
+  }
+
   // -------------------------
   // Snapshots
   // -------------------------
@@ -124,7 +628,9 @@ class RoomManager {
   }
 
   saveSnapshot(roomId, png) {
-    this.getRoom(roomId).drawingState.saveSnapshot(png);
+    const room = this.getRoom(roomId);
+    room.drawingState.saveSnapshot(png);
+    this.store.save(roomId, room.drawingState.toJSON());
   }
 }
 
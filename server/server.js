@@ -6,18 +6,28 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 
+const config = require("./config");
 const roomManager = require("./room");
+const identity = require("./identity");
+const BoardExport = require("../shared/export");
+const BoardLayers = require("../shared/layers");
+const BoardWire = require("../shared/wire");
+const { validate, ValidationError } = require("./validation");
+const { RoomAccess, AccessError } = require("./access");
+const { RateLimiter } = require("./rate-limit");
+const { contentType } = require("./images");
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
+  maxHttpBufferSize: config.validation.maxPayloadBytes,
   cors: {
     origin: "https://real-time-collaborative-drawing-can-navy.vercel.app/",
     methods: ["GET", "POST"],
   },
 });
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // -------------------------
 // STATIC FILES
@@ -26,10 +36,398 @@ const PORT = process.env.PORT || 3000;
 const clientPath = path.join(__dirname, "..", "client");
 app.use(express.static(clientPath));
 
+// Modules used by both the browser and the server
+app.use("/shared", express.static(path.join(__dirname, "..", "shared")));
+
 app.get("/", (req, res) => {
   res.sendFile(path.join(clientPath, "index.html"));
 });
 
+// -------------------------
+// EVENT MIDDLEWARE
+// Every client event runs through these in order before its handler.
+// Each gets (ctx, next) with ctx = { socket, event, payload, reject }.
+// -------------------------
+
+// What the sender hears when one of its events is refused. A refused
+// commit names its clientId, so the client drops it from its outbox
+// instead of re-sending it after every resync.
+function rejection(event, payload, reason) {
+  const out = { event, reason };
+  if (event !== "stroke-complete") return out;
+
+  let op = payload;
+  try {
+    if (BoardWire.isBinary(op)) op = BoardWire.decode(event, op);
+  } catch (err) {
+    op = null; // undecodable → nothing to name
+  }
+  if (op && typeof op.clientId === "string") out.clientId = op.clientId;
+  return out;
+}
+
+const limiter = new RateLimiter(config.rateLimit, {
+  countRoomOps: (roomId) => roomManager.getOperationCount(roomId),
+});
+
+// Roles (see access.js): viewers only watch and only the owner changes
+// who may do what. Every event of a socket in a room is checked here, so
+// no handler runs for someone whose role doesn't allow it.
+function authorization(ctx, next) {
+  const { socket, event } = ctx;
+  if (event === "join" || !socket.roomId) return next();
+
+  const role = roomManager.getRole(socket.roomId, socket.userId);
+  if (!RoomAccess.allows(role, event)) {
+    ctx.reject(
+      role === "viewer"
+        ? "Viewers can only watch this room"
+        : "Only the room owner can do that"
+    );
+    return;
+  }
+  next();
+}
+
+// Binary payloads (see shared/wire.js) → the same objects JSON would give,
+// so validation and handlers never see the difference
+function decoding(ctx, next) {
+  if (BoardWire.isBinary(ctx.payload)) {
+    try {
+      if (!BoardWire.EVENTS.has(ctx.event)) {
+        throw new Error("No binary encoding for this event");
+      }
+      ctx.payload = BoardWire.decode(ctx.event, ctx.payload);
+    } catch (err) {
+      ctx.reject(err.message);
+      return;
+    }
+  }
+  next();
+}
+
+// Schema check; rejections are reported back to the sender only
+function validation(ctx, next) {
+  try {
+    ctx.payload = validate(ctx.event, ctx.payload);
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    ctx.reject(err.message);
+    return;
+  }
+  next();
+}
+
+const middleware = [limiter.middleware(), authorization, decoding, validation];
+
+// A handler that throws (e.g. a room whose stored document is corrupt)
+// fails that one event for that one socket, never the whole process
+function handle(socket, event, handler) {
+  socket.on(event, (payload) => {
+    const ctx = { socket, event, payload };
+    ctx.reject = (reason) => {
+      socket.emit("rejected", rejection(event, payload, reason));
+    };
+    let i = 0;
+    const next = () => {
+      const mw = middleware[i++];
+      if (mw) mw(ctx, next);
+      else handler(ctx.payload);
+    };
+
+    try {
+      next();
+    } catch (err) {
+      console.error(`"${event}" from ${socket.id} failed:`, err);
+      ctx.reject("Something went wrong on the server");
+    }
+  });
+}
+
+// -------------------------
+// MONITORING
+// -------------------------
+
+app.get("/metrics", (req, res) => {
+  res.json({
+    connections: io.engine.clientsCount,
+    loadedRooms: roomManager.rooms.size,
+    rateLimit: limiter.getMetrics(),
+  });
+});
+
+// -------------------------
+// ROOM EXPORT (for archiving boards from scripts)
+//   GET /rooms/:roomId/export.json
+//   GET /rooms/:roomId/export.svg
+// -------------------------
+
+// The userId behind "Authorization: Bearer <identity token>", if any
+function requestUser(req) {
+  const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+  return identity.verify(token);
+}
+
+// Banned users are told so, as on join (AccessError code "banned")
+function refuseBanned(res, access, userId) {
+  if (!access.banned.has(userId)) return false;
+  res
+    .status(403)
+    .json({ error: "You are banned from this room", code: "banned" });
+  return true;
+}
+
+// Rooms with a password only show their board to people they let in,
+// who send their identity token along (see requestUser). Answers the
+// request and returns false for everyone else.
+function mayRead(req, res, access) {
+  if (!access) {
+    res.status(404).json({ error: "Room not found" });
+    return false;
+  }
+
+  const userId = requestUser(req);
+  if (access.roleOf(userId)) return true;
+  if (!refuseBanned(res, access, userId)) {
+    res
+      .status(403)
+      .json({ error: "This room needs a password", code: "password" });
+  }
+  return false;
+}
+
+function readableRoom(req, res) {
+  const state = roomManager.readRoom(req.params.roomId);
+  return mayRead(req, res, state && state.access) ? state : null;
+}
+
+app.get("/rooms/:roomId/export.:format", (req, res) => {
+  const { roomId, format } = req.params;
+  const state = readableRoom(req, res);
+  if (!state) return;
+
+  // what the board shows: visible layers, bottom first
+  const layers = state.layers;
+  const groups = BoardLayers.byLayer(state.getActiveOperations(), layers);
+  const ops = groups.flatMap((group) => group.ops);
+  const file = `${encodeURIComponent(roomId)}.${format}`;
+
+  if (format === "json") {
+    res.attachment(file).json(BoardExport.toJSON(ops, roomId, layers));
+  } else if (format === "svg") {
+    res
+      .attachment(file)
+      .type("image/svg+xml")
+      .send(BoardExport.toSVG(ops, { layers, imageHref: embedImage(roomId) }));
+  } else {
+    res.status(400).json({ error: "Format must be json or svg" });
+  }
+});
+
+// -------------------------
+// ROOM HISTORY (playback)
+//   GET /rooms/:roomId/history
+// Every log entry in seq order — strokes, edits, undo and redo — with
+// timestamps, the room's layers, and userId → { username, color } for
+// the authors
+// -------------------------
+
+app.get("/rooms/:roomId/history", (req, res) => {
+  const state = readableRoom(req, res);
+  if (!state) return;
+  res.json(roomManager.getHistory(req.params.roomId, state));
+});
+
+// -------------------------
+// ROOM IMAGES (pasted / dropped pictures, see images.js)
+//   POST /rooms/:roomId/images  (the file as the body) → { imageId }
+//   GET  /rooms/:roomId/images/:imageId
+// Uploading takes someone who may draw in the room (identity token as
+// for export); the image op that places it goes over the socket like
+// any other drawing.
+// -------------------------
+
+// any content type: the file's own bytes decide what it is
+const imageBody = express.raw({
+  type: () => true,
+  limit: config.images.maxBytes,
+});
+
+app.post("/rooms/:roomId/images", imageBody, (req, res) => {
+  const { roomId } = req.params;
+  const access = roomManager.readAccess(roomId);
+  if (!access) {
+    res.status(404).json({ error: "Room not found" });
+    return;
+  }
+
+  const userId = requestUser(req);
+  const role = userId && access.roleOf(userId);
+  if (!RoomAccess.allows(role, "stroke-complete")) {
+    if (refuseBanned(res, access, userId)) return;
+    res
+      .status(403)
+      .json({ error: "Only people who can draw here can add images" });
+    return;
+  }
+
+  try {
+    res.status(201).json({ imageId: roomManager.addImage(roomId, req.body) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Bodies over the size limit fail before the route runs
+app.use("/rooms/:roomId/images", (err, req, res, next) => {
+  const mb = config.images.maxBytes / (1024 * 1024);
+  res.status(err.status || 400).json({
+    error:
+      err.type === "entity.too.large"
+        ? `Images can be at most ${mb} MB`
+        : err.message,
+  });
+});
+
+app.get("/rooms/:roomId/images/:imageId", (req, res) => {
+  const { roomId, imageId } = req.params;
+  if (!mayRead(req, res, roomManager.readAccess(roomId))) return;
+
+  const data = roomManager.getImage(roomId, imageId);
+  if (!data) {
+    res.status(404).json({ error: "Image not found" });
+    return;
+  }
+  // named after their content, so they never change
+  res
+    .type(contentType(imageId))
+    .set("Cache-Control", "private, max-age=31536000, immutable")
+    .set("X-Content-Type-Options", "nosniff")
+    .send(data);
+});
+
+// SVG exports carry their images inline, so the file stands alone
+function embedImage(roomId) {
+  return (op) => {
+    const data = roomManager.getImage(roomId, op.imageId);
+    if (!data) return null;
+    return `data:${contentType(op.imageId)};base64,${data.toString("base64")}`;
+  };
+}
+
+// -------------------------
+// WIRE FORMAT
+// Sockets that negotiated the binary encoding at join get the
+// high-volume events encoded; everyone else gets JSON.
+// -------------------------
+
+function send(socket, event, data) {
+  if (socket.binary && BoardWire.EVENTS.has(event)) {
+    socket.emit(event, BoardWire.encode(event, data));
+  } else {
+    socket.emit(event, data);
+  }
+}
+
+// Room-wide send (minus `exceptId`), encoding at most once
+function relay(roomId, event, data, exceptId = null) {
+  const members = io.sockets.adapter.rooms.get(roomId);
+  if (!members) return;
+
+  let encoded = null;
+  for (const id of members) {
+    if (id === exceptId) continue;
+    const member = io.sockets.sockets.get(id);
+    if (!member) continue;
+
+    if (member.binary && BoardWire.EVENTS.has(event)) {
+      encoded ||= BoardWire.encode(event, data);
+      member.emit(event, encoded);
+    } else {
+      member.emit(event, data);
+    }
+  }
+}
+
+// -------------------------
+// RESYNC HELPERS
+// -------------------------
+
+// Send only what the client is missing, or a full snapshot of the
+// active operations when it is too far behind / has no state yet
+function sendSync(socket, roomId, lastSeq) {
+  const seq = roomManager.getSeq(roomId);
+  const tail = Number.isInteger(lastSeq)
+    ? roomManager.getOperationsSince(roomId, lastSeq)
+    : null;
+
+  if (tail) {
+    socket.emit("sync", { full: false, ops: tail, seq });
+  } else {
+    socket.emit("sync", {
+      full: true,
+      ops: roomManager.getActiveOps(roomId),
+      layers: roomManager.getLayers(roomId),
+      seq,
+    });
+  }
+}
+
+// Tell every session of a user whether Undo/Redo would do anything
+function sendUndoState(roomId, userId) {
+  // (an empty room list would make io.to() broadcast to everyone)
+  const user = roomManager.getUser(roomId, userId);
+  if (!user || user.sessions.size === 0) return;
+
+  io.to([...user.sessions]).emit(
+    "undo-state",
+    roomManager.getUndoState(roomId, userId)
+  );
+}
+
+// Everyone's, after a change that may affect what others can undo
+function broadcastUndoState(roomId) {
+  for (const user of roomManager.getUsers(roomId)) {
+    sendUndoState(roomId, user.id);
+  }
+}
+
+// -------------------------
+// ROOM MEMBERSHIP
+// -------------------------
+
+// A session leaving its room (switching rooms, removed, disconnected)
+function leaveRoom(socket) {
+  const r = socket.roomId;
+  socket.leave(r);
+  socket.roomId = null;
+
+  roomManager.removeUser(r, socket.userId, socket.id);
+  if (roomManager.getUsers(r).length === 0) limiter.forgetRoom(r);
+
+  io.to(r).emit("users", roomManager.getUsers(r));
+  relay(r, "cursor", { remove: socket.id });
+}
+
+// Every session of a user (kicked or banned by the owner)
+function removeFromRoom(roomId, userId) {
+  const user = roomManager.getUser(roomId, userId);
+  if (!user) return;
+
+  for (const id of [...user.sessions]) {
+    const member = io.sockets.sockets.get(id);
+    if (member) leaveRoom(member);
+  }
+}
+
+function broadcastHistory(roomId) {
+  io.to(roomId).emit("history", {
+    ops: roomManager.getActiveOps(roomId),
+    layers: roomManager.getLayers(roomId),
+    seq: roomManager.getSeq(roomId),
+  });
+}
+
 // -------------------------
 // SOCKET HANDLER
 // -------------------------
@@ -37,100 +435,383 @@ app.get("/", (req, res) => {
 io.on("connection", (socket) => {
   console.log(`User connected: ${socket.id}`);
 
+  const on = (event, handler) => handle(socket, event, handler);
+
   // -------------------------
   // JOIN ROOM
   // -------------------------
-  socket.on("join", ({ roomId, username }) => {
+  on("join", (join) => {
+    const { roomId, username, token, lastSeq, encoding } = join;
+
+    // Same person across reconnects/tabs → same userId
+    const id = identity.resolve(token);
+
+    // A room that won't let us in leaves us where we were
+    let role;
+    try {
+      role = roomManager.admit(roomId, id.userId, {
+        password: join.password,
+        invite: join.invite,
+      });
+    } catch (err) {
+      if (!(err instanceof AccessError)) throw err;
+      socket.emit("rejected", {
+        event: "join",
+        reason: err.message,
+        code: err.code,
+      });
+      return;
+    }
+
+    // Switching rooms on the same socket: leave the old one first
+    if (socket.roomId && socket.roomId !== roomId) leaveRoom(socket);
+
+    socket.userId = id.userId;
+
     socket.join(roomId);
     socket.roomId = roomId;
+    socket.binary = encoding === BoardWire.ENCODING;
 
-    const user = roomManager.addUser(roomId, socket.id, username);
+    const user = roomManager.addUser(roomId, id.userId, socket.id, username);
+    socket.emit("identity", {
+      userId: id.userId,
+      token: id.token,
+      color: user.color,
+      encoding: socket.binary ? BoardWire.ENCODING : "json",
+      role,
+    });
+    if (role === "owner") {
+      socket.emit("access", roomManager.getAccessSettings(roomId));
+    }
 
-    // Send active history to newly joined user
-    const activeOps = roomManager.getActiveOps(roomId);
-    socket.emit("history", activeOps);
+    // Bring the client up to date (tail only when it already has state)
+    sendSync(socket, roomId, lastSeq);
+    sendUndoState(roomId, id.userId);
+    socket.emit("discussion", roomManager.getDiscussion(roomId));
 
     // Broadcast updated user list
     io.to(roomId).emit("users", roomManager.getUsers(roomId));
   });
 
+  // -------------------------
+  // EXPLICIT RESYNC
+  // -------------------------
+  on("sync", ({ lastSeq }) => {
+    const r = socket.roomId;
+    if (!r) return;
+    sendSync(socket, r, lastSeq);
+  });
+
   // -------------------------
   // LIVE STROKES
   // -------------------------
-  socket.on("stroke", (segment) => {
+  on("stroke", (segment) => {
+    const r = socket.roomId;
+    if (!r) return;
+    // tag with the sender so receivers can tie previews to their commit
+    relay(r, "stroke", { ...segment, userId: socket.userId }, socket.id);
+  });
+
+  on("stroke-batch", (batch) => {
     const r = socket.roomId;
     if (!r) return;
-    socket.broadcast.to(r).emit("stroke", segment);
+    relay(
+      r,
+      // same sender tag as single segments
+      "stroke-batch",
+      batch.map((seg) => ({ ...seg, userId: socket.userId })),
+      socket.id
+    );
   });
 
-  socket.on("stroke-batch", (batch) => {
+  // a stroke given up midway: others drop its live preview
+  on("stroke-cancel", ({ strokeId }) => {
     const r = socket.roomId;
     if (!r) return;
-    socket.broadcast.to(r).emit("stroke-batch", batch);
+    relay(r, "stroke-cancel", { strokeId, userId: socket.userId }, socket.id);
   });
 
   // -------------------------
   // STROKE COMMIT
   // -------------------------
-  socket.on("stroke-complete", (op) => {
+  on("stroke-complete", (op) => {
     const r = socket.roomId;
     if (!r) return;
+    const reject = (reason) => {
+      socket.emit("rejected", rejection("stroke-complete", op, reason));
+    };
+
+    // Offline strokes may be re-sent after a reconnect: commit once
+    const existing = op.clientId && roomManager.findByClientId(r, op.clientId);
+    if (existing) {
+      send(socket, "stroke-complete", existing);
+      return;
+    }
+
+    // Drawings go onto an existing, unlocked layer (the top one if unset)
+    const layer = roomManager.drawingLayer(r, op.layerId);
+    if (!layer) {
+      reject("That layer is locked or was deleted");
+      return;
+    }
+    op.layerId = layer.id;
+
+    // Images are uploaded first (POST /rooms/:roomId/images)
+    if (op.type === "image" && !roomManager.hasImage(r, op.imageId)) {
+      reject("That image was not uploaded to this room");
+      return;
+    }
+
+    // Edits may only replace the sender's own op of the same type
+    if (
+      op.replaces &&
+      !roomManager.canReplace(r, op.replaces, op.type, socket.userId, layer.id)
+    ) {
+      reject("Only your own text can be edited");
+      return;
+    }
+
+    const opObj = roomManager.addOperation(r, op, socket.userId);
+
+    relay(r, "stroke-complete", opObj);
+    sendUndoState(r, socket.userId); // new change → undoable, redo cleared
+  });
 
-    const opObj = roomManager.addOperation(r, op, socket.id);
+  // -------------------------
+  // IMPORT (exported JSON → new ops owned by the importer)
+  // -------------------------
+  on("import", (doc) => {
+    const r = socket.roomId;
+    if (!r) return;
 
-    io.to(r).emit("stroke-complete", opObj);
+    let ops;
+    try {
+      ops = BoardExport.parseJSON(doc);
+    } catch (err) {
+      socket.emit("rejected", { event: "import", reason: err.message });
+      return;
+    }
+
+    const layer = roomManager.drawingLayer(r, doc.layerId);
+    if (!layer) {
+      socket.emit("rejected", {
+        event: "import",
+        reason: "That layer is locked or was deleted",
+      });
+      return;
+    }
+
+    roomManager.importOperations(r, ops, socket.userId, layer.id);
+    broadcastHistory(r);
+    sendUndoState(r, socket.userId);
   });
 
   // -------------------------
-  // CURSORS
+  // LAYERS (create / rename / set visible+locked / move / delete)
   // -------------------------
-  socket.on("cursor", (data) => {
+  on("layer", (change) => {
     const r = socket.roomId;
     if (!r) return;
 
-    const user = roomManager.getRoom(r).users.get(socket.id);
+    let entry;
+    try {
+      entry = roomManager.changeLayers(r, change, socket.userId);
+    } catch (err) {
+      socket.emit("rejected", { event: "layer", reason: err.message });
+      return;
+    }
 
-    socket.broadcast.to(r).emit("cursor", {
-      x: data.x,
-      y: data.y,
-      username: user.username,
-      socketId: socket.id,
-      color: user.color,
-    });
+    io.to(r).emit("layers", entry);
+
+    // locking/deleting a layer can change what anyone could undo
+    broadcastUndoState(r);
+  });
+
+  // -------------------------
+  // ACCESS (owner only: roles, newcomers' role, password, invite links)
+  // -------------------------
+  on("access", (change) => {
+    const r = socket.roomId;
+    if (!r) return;
+
+    let invite;
+    try {
+      invite = roomManager.changeAccess(r, change);
+    } catch (err) {
+      socket.emit("rejected", { event: "access", reason: err.message });
+      return;
+    }
+
+    // invite tokens go to the owner who asked, once, and nowhere else
+    const settings = roomManager.getAccessSettings(r);
+    if (invite) settings.invite = { token: invite, role: change.role };
+    socket.emit("access", settings);
+    // roles are part of the user list → everyone sees the change live
+    io.to(r).emit("users", roomManager.getUsers(r));
+  });
+
+  // -------------------------
+  // MODERATION (owner only: kick / ban / unban someone, remove all their
+  // drawings, clear the board, undo anyone's drawing)
+  // -------------------------
+  on("moderate", (command) => {
+    const r = socket.roomId;
+    if (!r) return;
+
+    // (looked up first: an unban forgets the name)
+    const username = command.userId
+      ? roomManager.displayName(r, command.userId)
+      : null;
+
+    let entry;
+    try {
+      entry = roomManager.moderate(r, command, socket.userId);
+    } catch (err) {
+      socket.emit("rejected", { event: "moderate", reason: err.message });
+      return;
+    }
+
+    // clean-ups are ordinary log entries (a delete, or an undo)
+    if (entry) io.to(r).emit(entry.type, entry);
+
+    // everyone hears what happened — those being removed too, before
+    // their sessions leave the room
+    const notice = { action: command.action, by: socket.userId };
+    if (command.userId) {
+      notice.userId = command.userId;
+      notice.username = username;
+    }
+    if (entry && entry.type === "delete") notice.count = entry.targets.length;
+    io.to(r).emit("moderation", notice);
+
+    if (command.action === "kick" || command.action === "ban") {
+      removeFromRoom(r, command.userId);
+    }
+    if (command.action === "ban" || command.action === "unban") {
+      socket.emit("access", roomManager.getAccessSettings(r));
+    }
+    if (entry) broadcastUndoState(r);
+  });
+
+  // -------------------------
+  // SELECTION EDITS (own drawings; the room owner may edit anyone's)
+  // -------------------------
+  on("transform", (change) => {
+    const r = socket.roomId;
+    if (!r) return;
+
+    let entry;
+    try {
+      entry = roomManager.transformOperations(r, change, socket.userId);
+    } catch (err) {
+      socket.emit("rejected", { event: "transform", reason: err.message });
+      return;
+    }
+
+    io.to(r).emit("transform", entry);
+    // the authors can't undo what was edited out from under them
+    broadcastUndoState(r);
+  });
+
+  on("delete", ({ targets }) => {
+    const r = socket.roomId;
+    if (!r) return;
+
+    let entry;
+    try {
+      entry = roomManager.deleteOperations(r, targets, socket.userId);
+    } catch (err) {
+      socket.emit("rejected", { event: "delete", reason: err.message });
+      return;
+    }
+
+    io.to(r).emit("delete", entry);
+    broadcastUndoState(r);
+  });
+
+  // -------------------------
+  // CHAT & COMMENTS (kept with the room; viewers may talk too)
+  // -------------------------
+  on("chat", ({ text }) => {
+    const r = socket.roomId;
+    if (!r) return;
+    io.to(r).emit("chat", roomManager.chat(r, socket.userId, text));
+  });
+
+  on("comment", (change) => {
+    const r = socket.roomId;
+    if (!r) return;
+
+    let entry;
+    try {
+      entry = roomManager.comment(r, socket.userId, change);
+    } catch (err) {
+      socket.emit("rejected", { event: "comment", reason: err.message });
+      return;
+    }
+
+    io.to(r).emit("comment", entry);
+  });
+
+  // -------------------------
+  // CURSORS
+  // -------------------------
+  on("cursor", (data) => {
+    const r = socket.roomId;
+    if (!r) return;
+
+    const user = roomManager.getUser(r, socket.userId);
+    if (!user) return;
+
+    relay(
+      r,
+      "cursor",
+      {
+        x: data.x,
+        y: data.y,
+        username: user.username,
+        socketId: socket.id,
+        userId: user.id,
+        color: user.color,
+      },
+      socket.id
+    );
   });
 
   // -------------------------
   // SECURE UNDO (only undo own strokes)
   // -------------------------
-  socket.on("undo", () => {
+  on("undo", () => {
     const r = socket.roomId;
     if (!r) return;
 
-    const inverse = roomManager.undoOwn(r, socket.id);
+    const inverse = roomManager.undoOwn(r, socket.userId);
     if (!inverse) return;
 
-    const active = roomManager.getActiveOps(r);
-    io.to(r).emit("history", active);
+    // just the log entry (which names the op) — clients patch their copy
+    io.to(r).emit("undo", inverse);
+    // (undoing an edit of someone else's drawing hands it back to them)
+    broadcastUndoState(r);
   });
 
   // -------------------------
   // SECURE REDO (only redo own strokes)
   // -------------------------
-  socket.on("redo", () => {
+  on("redo", () => {
     const r = socket.roomId;
     if (!r) return;
 
-    const redoOp = roomManager.redoOwn(r, socket.id);
+    const redoOp = roomManager.redoOwn(r, socket.userId);
     if (!redoOp) return;
 
-    const active = roomManager.getActiveOps(r);
-    io.to(r).emit("history", active);
+    io.to(r).emit("redo", redoOp);
+    broadcastUndoState(r);
   });
 
   // -------------------------
   // SNAPSHOT SYNC
   // -------------------------
-  socket.on("request-snapshot", () => {
+  on("request-snapshot", () => {
     const r = socket.roomId;
     if (!r) return;
     const snap = roomManager.getSnapshot(r);
@@ -140,7 +821,7 @@ io.on("connection", (socket) => {
   // -------------------------
   // LATENCY
   // -------------------------
-  socket.on("ping-check", (time) => {
+  on("ping-check", (time) => {
     socket.emit("pong-check", time);
   });
 
@@ -148,13 +829,13 @@ io.on("connection", (socket) => {
   // DISCONNECT
   // -------------------------
   socket.on("disconnect", () => {
-    const r = socket.roomId;
-    if (!r) return;
+    limiter.forgetSocket(socket.id);
 
-    roomManager.removeUser(r, socket.id);
-
-    io.to(r).emit("users", roomManager.getUsers(r));
-    io.to(r).emit("cursor", { remove: socket.id });
+    try {
+      if (socket.roomId) leaveRoom(socket);
+    } catch (err) {
+      console.error(`Leaving room "${socket.roomId}" failed:`, err);
+    }
   });
 });
 
@@ -162,6 +843,11 @@ io.on("connection", (socket) => {
 // START SERVER
 // -------------------------
 
+roomManager.startRetentionSweep();
+
 server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
+  console.log(`Server running at http://localhost:${server.address().port}`);
 });
+
+// for tests, which start it on PORT=0 and close it when done
+module.exports = { server, io };
@@ -0,0 +1,254 @@
+// Pluggable persistence backends for rooms
+// A store keeps each room in the DrawingState.toJSON() shape:
+//   { roomId, operations, snapshot }
+//
+// Every store implements the same synchronous interface:
+//   load(roomId)          → room document or null
+//   append(roomId, op)    → persist one committed operation
+//   save(roomId, doc)     → persist the full document (compaction)
+//   remove(roomId)        → forget the room (its images and chat too)
+//   list()                → [{ roomId, updatedAt }]
+//
+// and keeps the room's images (see images.js) beside it:
+//   saveImage(roomId, imageId, data)
+//   loadImage(roomId, imageId) → Buffer or null
+//   listImages(roomId)         → [{ imageId, size }]
+//
+// and its chat and comments (see shared/discussion.js), as entries:
+//   appendChat(roomId, entry)
+//   loadChat(roomId)           → [entry] (oldest first)
+//   saveChat(roomId, entries)  → replace them all (compaction)
+
+const fs = require("fs");
+const path = require("path");
+
+// ----------------------------------------------------------
+// FILE STORE (default)
+// <room>.json holds the last full document, <room>.log holds
+// one JSON operation per line appended since that document,
+// <room>.images/ holds one file per image and <room>.chat one chat or
+// comment entry per line.
+// ----------------------------------------------------------
+class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  paths(roomId) {
+    const name = encodeURIComponent(roomId);
+    return {
+      doc: path.join(this.dir, `${name}.json`),
+      log: path.join(this.dir, `${name}.log`),
+      images: path.join(this.dir, `${name}.images`),
+      chat: path.join(this.dir, `${name}.chat`),
+    };
+  }
+
+  load(roomId) {
+    const { doc, log } = this.paths(roomId);
+    let data = null;
+
+    if (fs.existsSync(doc)) {
+      data = JSON.parse(fs.readFileSync(doc, "utf8"));
+    }
+
+    if (fs.existsSync(log)) {
+      if (!data) data = { roomId, operations: [], snapshot: null };
+
+      for (const line of fs.readFileSync(log, "utf8").split("\n")) {
+        if (!line) continue;
+        try {
+          data.operations.push(JSON.parse(line));
+        } catch (err) {
+          // torn write from a crash — everything before it is still valid
+          break;
+        }
+      }
+    }
+
+    return data;
+  }
+
+  append(roomId, op) {
+    fs.appendFileSync(this.paths(roomId).log, JSON.stringify(op) + "\n");
+  }
+
+  save(roomId, data) {
+    const { doc, log } = this.paths(roomId);
+
+    // write-then-rename so a crash never leaves a half written document
+    const tmp = `${doc}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, doc);
+    fs.rmSync(log, { force: true });
+  }
+
+  remove(roomId) {
+    const { doc, log, images, chat } = this.paths(roomId);
+    fs.rmSync(doc, { force: true });
+    fs.rmSync(log, { force: true });
+    fs.rmSync(images, { recursive: true, force: true });
+    fs.rmSync(chat, { force: true });
+  }
+
+  // imageIds are checked by the caller, so they are safe file names
+  saveImage(roomId, imageId, data) {
+    const { images } = this.paths(roomId);
+    fs.mkdirSync(images, { recursive: true });
+    fs.writeFileSync(path.join(images, imageId), data);
+  }
+
+  loadImage(roomId, imageId) {
+    const file = path.join(this.paths(roomId).images, imageId);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+
+  listImages(roomId) {
+    const { images } = this.paths(roomId);
+    if (!fs.existsSync(images)) return [];
+    return fs.readdirSync(images).map((imageId) => ({
+      imageId,
+      size: fs.statSync(path.join(images, imageId)).size,
+    }));
+  }
+
+  appendChat(roomId, entry) {
+    fs.appendFileSync(this.paths(roomId).chat, JSON.stringify(entry) + "\n");
+  }
+
+  loadChat(roomId) {
+    const { chat } = this.paths(roomId);
+    if (!fs.existsSync(chat)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(chat, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        break; // torn write, as in load()
+      }
+    }
+    return entries;
+  }
+
+  saveChat(roomId, entries) {
+    const { chat } = this.paths(roomId);
+    const tmp = `${chat}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      entries.map((e) => JSON.stringify(e) + "\n").join("")
+    );
+    fs.renameSync(tmp, chat);
+  }
+
+  list() {
+    const rooms = new Map();
+
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = /^(.*)\.(json|log|chat)$/.exec(file);
+      if (!match) continue;
+
+      const roomId = decodeURIComponent(match[1]);
+      const { mtimeMs } = fs.statSync(path.join(this.dir, file));
+      rooms.set(roomId, Math.max(rooms.get(roomId) || 0, mtimeMs));
+    }
+
+    return [...rooms].map(([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+}
+
+// ----------------------------------------------------------
+// MEMORY STORE (no durability — useful for local dev)
+// ----------------------------------------------------------
+class MemoryStore {
+  constructor() {
+    this.rooms = new Map(); // roomId → { data, updatedAt }
+    this.images = new Map(); // roomId → Map(imageId → Buffer)
+    this.chats = new Map(); // roomId → { entries, updatedAt }
+  }
+
+  load(roomId) {
+    const entry = this.rooms.get(roomId);
+    if (!entry) return null;
+    return JSON.parse(JSON.stringify(entry.data));
+  }
+
+  append(roomId, op) {
+    let entry = this.rooms.get(roomId);
+    if (!entry) {
+      entry = { data: { roomId, operations: [], snapshot: null } };
+      this.rooms.set(roomId, entry);
+    }
+    entry.data.operations.push(op);
+    entry.updatedAt = Date.now();
+  }
+
+  save(roomId, data) {
+    this.rooms.set(roomId, {
+      data: JSON.parse(JSON.stringify(data)),
+      updatedAt: Date.now(),
+    });
+  }
+
+  remove(roomId) {
+    this.rooms.delete(roomId);
+    this.images.delete(roomId);
+    this.chats.delete(roomId);
+  }
+
+  saveImage(roomId, imageId, data) {
+    if (!this.images.has(roomId)) this.images.set(roomId, new Map());
+    this.images.get(roomId).set(imageId, data);
+  }
+
+  loadImage(roomId, imageId) {
+    const images = this.images.get(roomId);
+    return (images && images.get(imageId)) || null;
+  }
+
+  listImages(roomId) {
+    const images = this.images.get(roomId) || new Map();
+    return [...images].map(([imageId, data]) => ({
+      imageId,
+      size: data.length,
+    }));
+  }
+
+  appendChat(roomId, entry) {
+    if (!this.chats.has(roomId)) this.chats.set(roomId, { entries: [] });
+    const chat = this.chats.get(roomId);
+    chat.entries.push(JSON.parse(JSON.stringify(entry)));
+    chat.updatedAt = Date.now();
+  }
+
+  loadChat(roomId) {
+    const chat = this.chats.get(roomId);
+    return chat ? JSON.parse(JSON.stringify(chat.entries)) : [];
+  }
+
+  saveChat(roomId, entries) {
+    this.chats.set(roomId, {
+      entries: JSON.parse(JSON.stringify(entries)),
+      updatedAt: Date.now(),
+    });
+  }
+
+  // rooms with only chat count too, as in FileStore
+  list() {
+    const rooms = new Map();
+    for (const [roomId, e] of [...this.rooms, ...this.chats]) {
+      rooms.set(roomId, Math.max(rooms.get(roomId) || 0, e.updatedAt || 0));
+    }
+    return [...rooms].map(([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+}
+
+function createStore({ driver, dir }) {
+  if (driver === "memory") return new MemoryStore();
+  if (driver === "file") return new FileStore(dir);
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { FileStore, MemoryStore, createStore };
@@ -0,0 +1,579 @@
+// Schema validation for every client → server socket payload
+// Each validator returns a fresh, sanitized object built only from the
+// fields it knows about (so clients can never smuggle in id, userId,
+// timestamp, seq, …) and throws ValidationError for anything malformed.
+// Numbers are clamped to sane ranges instead of rejected where possible.
+
+const config = require("./config");
+const BoardStroke = require("../shared/stroke");
+const BoardWire = require("../shared/wire");
+const { IMAGE_ID } = require("./images");
+
+const limits = config.validation;
+
+const STROKE_TOOLS = new Set(["brush", "eraser"]);
+const SHAPE_TOOLS = new Set(["line", "rect", "ellipse", "arrow"]);
+const ENCODINGS = new Set(["json", "binary"]);
+const LAYER_ACTIONS = new Set(["create", "rename", "set", "move", "delete"]);
+const ACCESS_ACTIONS = new Set(["role", "default-role", "password", "invite"]);
+const MEMBER_ROLES = new Set(["editor", "viewer"]);
+const MODERATION_ACTIONS = new Set([
+  "kick",
+  "ban",
+  "unban",
+  "remove-user",
+  "clear",
+  "undo-stroke",
+]);
+const COMMENT_ACTIONS = new Set(["add", "reply", "resolve"]);
+const ERASER_COLOR = "rgba(0,0,0,1)";
+const HEX_COLOR = /^#(?:[0-9a-f]{3}){1,2}$/i;
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+function fail(message) {
+  throw new ValidationError(message);
+}
+
+// ----------------------------------------------------------
+// PRIMITIVES
+// ----------------------------------------------------------
+function object(value, name) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    fail(`${name} must be an object`);
+  }
+  return value;
+}
+
+function array(value, name, max) {
+  if (!Array.isArray(value)) fail(`${name} must be an array`);
+  if (value.length > max) fail(`${name} exceeds ${max} items`);
+  return value;
+}
+
+function number(value, name) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    fail(`${name} must be a finite number`);
+  }
+  return value;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function coord(value, name) {
+  return clamp(number(value, name), -limits.maxCoord, limits.maxCoord);
+}
+
+function width(value) {
+  return clamp(number(value, "width"), limits.minWidth, limits.maxWidth);
+}
+
+// pen pressure, rounded to the steps every renderer uses
+function pressure(value) {
+  return BoardStroke.quantizePressure(number(value, "pressure"));
+}
+
+function string(value, name, max) {
+  if (typeof value !== "string") fail(`${name} must be a string`);
+  if (value.length > max) fail(`${name} exceeds ${max} characters`);
+  return value;
+}
+
+function optionalId(value, name) {
+  if (value === undefined || value === null) return undefined;
+  return string(value, name, limits.maxIdLength);
+}
+
+function color(value, tool) {
+  if (tool === "eraser") return ERASER_COLOR;
+  if (typeof value !== "string" || !HEX_COLOR.test(value)) {
+    fail("color must be a hex color like #1a2b3c");
+  }
+  return value.toLowerCase();
+}
+
+function oneOf(value, allowed, name) {
+  if (!allowed.has(value)) fail(`${name} must be one of: ${[...allowed]}`);
+  return value;
+}
+
+// printable text without control characters (newlines allowed if asked)
+function cleanText(value, name, max, { multiline = false } = {}) {
+  const text = string(value, name, max);
+  const control = multiline
+    ? /[\u0000-\u0009\u000b-\u001f\u007f]/g
+    : /[\u0000-\u001f\u007f]/g;
+  return text.replace(control, "");
+}
+
+// ----------------------------------------------------------
+// OPERATIONS (stroke-complete / import)
+// ----------------------------------------------------------
+// Stored on the binary format's grid, so every client gets the same
+// points whichever format it uses (see shared/wire.js)
+function point(p, i) {
+  object(p, `points[${i}]`);
+  const out = {
+    x: BoardWire.quantize(coord(p.x, "x")),
+    y: BoardWire.quantize(coord(p.y, "y")),
+  };
+  if (p.pressure !== undefined) out.pressure = pressure(p.pressure);
+  return out;
+}
+
+function strokeOp(op) {
+  const tool = oneOf(op.tool, STROKE_TOOLS, "tool");
+  const points = array(op.points, "points", limits.maxPoints);
+  if (points.length === 0) fail("points must not be empty");
+
+  const out = {
+    type: "stroke",
+    tool,
+    color: color(op.color, tool),
+    width: width(op.width),
+    points: points.map(point),
+  };
+  if (op.smooth === true) out.smooth = true;
+  return out;
+}
+
+function shapeOp(op) {
+  const tool = oneOf(op.tool, SHAPE_TOOLS, "tool");
+  return {
+    type: "shape",
+    tool,
+    x0: coord(op.x0, "x0"),
+    y0: coord(op.y0, "y0"),
+    x1: coord(op.x1, "x1"),
+    y1: coord(op.y1, "y1"),
+    color: color(op.color, tool),
+    width: width(op.width),
+    fill: op.fill === true,
+  };
+}
+
+function textOp(op) {
+  const text = cleanText(op.text, "text", limits.maxTextLength, {
+    multiline: true,
+  });
+  if (!text.trim()) fail("text must not be empty");
+
+  const out = {
+    type: "text",
+    x: coord(op.x, "x"),
+    y: coord(op.y, "y"),
+    text,
+    color: color(op.color),
+    fontSize: clamp(
+      number(op.fontSize, "fontSize"),
+      limits.minFontSize,
+      limits.maxFontSize
+    ),
+  };
+
+  const replaces = optionalId(op.replaces, "replaces");
+  if (replaces) out.replaces = replaces;
+  return out;
+}
+
+// Grid sizes of a fill (see shared/fill.js); extents of fills and images
+function count(value, name, max) {
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    fail(`${name} must be an integer from 1 to ${max}`);
+  }
+  return value;
+}
+
+function extent(value, name) {
+  const size = number(value, name);
+  if (size <= 0) fail(`${name} must be positive`);
+  return Math.min(size, limits.maxCoord * 2);
+}
+
+function fillOp(op) {
+  const cols = count(op.cols, "cols", limits.maxFillCells);
+  const rows = count(op.rows, "rows", limits.maxFillCells);
+  if (cols * rows > limits.maxFillCells) {
+    fail(`a fill may not have more than ${limits.maxFillCells} cells`);
+  }
+
+  // [col, row, width, height, …], each rectangle inside the grid
+  const rects = array(op.rects, "rects", limits.maxFillRects * 4);
+  if (rects.length === 0 || rects.length % 4) {
+    fail("rects must be groups of col, row, width, height");
+  }
+  for (let i = 0; i < rects.length; i += 4) {
+    const [col, row, w, h] = rects.slice(i, i + 4);
+    const cells = [col, row, w, h].every((v) => Number.isInteger(v) && v >= 0);
+    if (!cells || !w || !h || col + w > cols || row + h > rows) {
+      fail(`rects[${i / 4}] must be a rectangle of cells inside the grid`);
+    }
+  }
+
+  return {
+    type: "fill",
+    x: coord(op.x, "x"),
+    y: coord(op.y, "y"),
+    w: extent(op.w, "w"),
+    h: extent(op.h, "h"),
+    cols,
+    rows,
+    rects: rects.slice(),
+    color: color(op.color),
+  };
+}
+
+// A picture uploaded to the room (see images.js), stretched over the box
+function imageOp(op) {
+  if (typeof op.imageId !== "string" || !IMAGE_ID.test(op.imageId)) {
+    fail("imageId must name an uploaded image");
+  }
+  return {
+    type: "image",
+    imageId: op.imageId,
+    x: coord(op.x, "x"),
+    y: coord(op.y, "y"),
+    w: extent(op.w, "w"),
+    h: extent(op.h, "h"),
+  };
+}
+
+const OPERATION_VALIDATORS = {
+  stroke: strokeOp,
+  shape: shapeOp,
+  text: textOp,
+  fill: fillOp,
+  image: imageOp,
+};
+
+// A committed drawing operation (no server-owned fields survive)
+function operation(payload) {
+  const op = object(payload, "operation");
+  const type = op.type === undefined ? "stroke" : op.type;
+  const validator = OPERATION_VALIDATORS[type];
+  if (!validator) {
+    fail(`type must be one of: ${Object.keys(OPERATION_VALIDATORS)}`);
+  }
+
+  const out = validator(op);
+  const layerId = optionalId(op.layerId, "layerId");
+  if (layerId) out.layerId = layerId;
+  return out;
+}
+
+// ----------------------------------------------------------
+// LAYERS
+// ----------------------------------------------------------
+function layerName(value) {
+  const name = cleanText(value, "name", limits.maxLayerNameLength).trim();
+  if (!name) fail("name must not be empty");
+  return name;
+}
+
+function optionalBoolean(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "boolean") fail(`${name} must be true or false`);
+  return value;
+}
+
+function layerChange(payload) {
+  const data = object(payload, "layer");
+  const action = oneOf(data.action, LAYER_ACTIONS, "action");
+  if (action === "create") return { action, name: layerName(data.name) };
+
+  const out = {
+    action,
+    layerId: string(data.layerId, "layerId", limits.maxIdLength),
+  };
+  if (action === "rename") out.name = layerName(data.name);
+  if (action === "move") {
+    if (!Number.isInteger(data.index) || data.index < 0) {
+      fail("index must be a non-negative integer");
+    }
+    out.index = data.index;
+  }
+  if (action === "set") {
+    const visible = optionalBoolean(data.visible, "visible");
+    const locked = optionalBoolean(data.locked, "locked");
+    if (visible !== undefined) out.visible = visible;
+    if (locked !== undefined) out.locked = locked;
+  }
+  return out;
+}
+
+// ----------------------------------------------------------
+// ACCESS (owner settings, see access.js)
+// ----------------------------------------------------------
+function password(value) {
+  return string(value, "password", limits.maxPasswordLength);
+}
+
+function accessChange(payload) {
+  const data = object(payload, "access");
+  const action = oneOf(data.action, ACCESS_ACTIONS, "action");
+
+  // "" opens the room again
+  if (action === "password")
+    return { action, password: password(data.password) };
+
+  const out = { action, role: oneOf(data.role, MEMBER_ROLES, "role") };
+  if (action === "role") {
+    out.userId = string(data.userId, "userId", limits.maxIdLength);
+  }
+  return out;
+}
+
+// Owner commands: { action, userId } for people, { action: "clear" },
+// { action: "undo-stroke", targetId } for a drawing
+function moderation(payload) {
+  const data = object(payload, "moderate");
+  const action = oneOf(data.action, MODERATION_ACTIONS, "action");
+  if (action === "clear") return { action };
+  if (action === "undo-stroke") {
+    return {
+      action,
+      targetId: string(data.targetId, "targetId", limits.maxIdLength),
+    };
+  }
+  return { action, userId: string(data.userId, "userId", limits.maxIdLength) };
+}
+
+// ----------------------------------------------------------
+// CHAT & COMMENTS (see shared/discussion.js)
+// ----------------------------------------------------------
+function chatText(value) {
+  const text = cleanText(value, "text", limits.maxChatLength, {
+    multiline: true,
+  }).trim();
+  if (!text) fail("text must not be empty");
+  return text;
+}
+
+// { action: "add", x, y, text } pins a new comment to the board,
+// { action: "reply", commentId, text } | { action: "resolve", commentId,
+// resolved? } (false reopens it)
+function commentChange(payload) {
+  const data = object(payload, "comment");
+  const action = oneOf(data.action, COMMENT_ACTIONS, "action");
+  if (action === "add") {
+    return {
+      action,
+      x: coord(data.x, "x"),
+      y: coord(data.y, "y"),
+      text: chatText(data.text),
+    };
+  }
+
+  const out = {
+    action,
+    commentId: string(data.commentId, "commentId", limits.maxIdLength),
+  };
+  if (action === "reply") out.text = chatText(data.text);
+  if (action === "resolve") {
+    out.resolved = optionalBoolean(data.resolved, "resolved") !== false;
+  }
+  return out;
+}
+
+// ----------------------------------------------------------
+// SELECTION EDITS
+// ----------------------------------------------------------
+function targets(value) {
+  const ids = array(value, "targets", limits.maxSelection);
+  if (ids.length === 0) fail("targets must not be empty");
+  return [
+    ...new Set(
+      ids.map((id, i) => string(id, `targets[${i}]`, limits.maxIdLength))
+    ),
+  ];
+}
+
+function scale(value, name) {
+  if (value === undefined) return 1;
+  return clamp(number(value, name), limits.minScale, limits.maxScale);
+}
+
+function optionalCoord(value, name) {
+  return value === undefined ? 0 : coord(value, name);
+}
+
+// Move by (dx, dy) and/or scale by (sx, sy) around (ox, oy), recolor
+function transformChange(payload) {
+  const data = object(payload, "transform");
+  const out = {
+    targets: targets(data.targets),
+    dx: optionalCoord(data.dx, "dx"),
+    dy: optionalCoord(data.dy, "dy"),
+    sx: scale(data.sx, "sx"),
+    sy: scale(data.sy, "sy"),
+    ox: optionalCoord(data.ox, "ox"),
+    oy: optionalCoord(data.oy, "oy"),
+  };
+  if (data.color !== undefined) out.color = color(data.color);
+  return out;
+}
+
+// ----------------------------------------------------------
+// LIVE TRAFFIC
+// ----------------------------------------------------------
+function segment(payload) {
+  const seg = object(payload, "segment");
+  let out;
+
+  if (seg.kind === "shape") {
+    const { type, ...shape } = shapeOp(seg);
+    out = { kind: "shape", ...shape };
+  } else {
+    const tool = oneOf(seg.tool, STROKE_TOOLS, "tool");
+    out = {
+      x0: coord(seg.x0, "x0"),
+      y0: coord(seg.y0, "y0"),
+      x1: coord(seg.x1, "x1"),
+      y1: coord(seg.y1, "y1"),
+      color: color(seg.color, tool),
+      width: width(seg.width),
+      tool,
+    };
+    if (seg.pressure !== undefined) out.pressure = pressure(seg.pressure);
+    if (seg.smooth === true) out.smooth = true;
+  }
+
+  // id of the stroke in progress (= clientId of its eventual commit)
+  const strokeId = optionalId(seg.strokeId, "strokeId");
+  if (strokeId) out.strokeId = strokeId;
+  return out;
+}
+
+// ----------------------------------------------------------
+// EVENT SCHEMAS
+// ----------------------------------------------------------
+const validators = {
+  join(payload) {
+    const data = object(payload, "join");
+
+    const roomId = string(data.roomId, "roomId", limits.maxRoomIdLength).trim();
+    if (!roomId) fail("roomId must not be empty");
+
+    const username = cleanText(
+      data.username,
+      "username",
+      limits.maxUsernameLength
+    ).trim();
+    if (!username) fail("username must not be empty");
+
+    const out = { roomId, username };
+    if (data.token !== undefined && data.token !== null) {
+      out.token = string(data.token, "token", limits.maxTokenLength);
+    }
+    if (data.lastSeq !== undefined && data.lastSeq !== null) {
+      if (!Number.isInteger(data.lastSeq) || data.lastSeq < 0) {
+        fail("lastSeq must be a non-negative integer");
+      }
+      out.lastSeq = data.lastSeq;
+    }
+    if (data.encoding !== undefined && data.encoding !== null) {
+      out.encoding = oneOf(data.encoding, ENCODINGS, "encoding");
+    }
+    // credentials for closed rooms (or the password for a new one)
+    if (data.password) out.password = password(data.password);
+    if (data.invite) {
+      out.invite = string(data.invite, "invite", limits.maxTokenLength);
+    }
+    return out;
+  },
+
+  // lastSeq null → full sync
+  sync(payload) {
+    const data = object(payload, "sync");
+    if (data.lastSeq === undefined || data.lastSeq === null) {
+      return { lastSeq: null };
+    }
+    if (!Number.isInteger(data.lastSeq) || data.lastSeq < 0) {
+      fail("lastSeq must be a non-negative integer");
+    }
+    return { lastSeq: data.lastSeq };
+  },
+
+  stroke: segment,
+
+  "stroke-batch"(payload) {
+    return array(payload, "batch", limits.maxBatchSegments).map(segment);
+  },
+
+  "stroke-complete"(payload) {
+    const op = operation(payload);
+    const clientId = optionalId(payload.clientId, "clientId");
+    if (clientId) op.clientId = clientId;
+    return op;
+  },
+
+  "stroke-cancel"(payload) {
+    const data = object(payload, "stroke-cancel");
+    return { strokeId: string(data.strokeId, "strokeId", limits.maxIdLength) };
+  },
+
+  cursor(payload) {
+    const data = object(payload, "cursor");
+    return { x: coord(data.x, "x"), y: coord(data.y, "y") };
+  },
+
+  layer: layerChange,
+
+  access: accessChange,
+
+  moderate: moderation,
+
+  chat(payload) {
+    return { text: chatText(object(payload, "chat").text) };
+  },
+
+  comment: commentChange,
+
+  transform: transformChange,
+
+  delete(payload) {
+    return { targets: targets(object(payload, "delete").targets) };
+  },
+
+  // no payload — whatever was sent is ignored
+  undo: () => undefined,
+  redo: () => undefined,
+  "request-snapshot": () => undefined,
+
+  "ping-check"(payload) {
+    return number(payload, "time");
+  },
+
+  // exported document → list of sanitized operations, plus the layer
+  // they should land on. Only what BoardExport.parseJSON reads is kept.
+  import(payload) {
+    const doc = object(payload, "import");
+    const ops = array(
+      doc.operations,
+      "operations",
+      config.import.maxOperations
+    );
+    return {
+      format: doc.format,
+      version: doc.version,
+      layers: doc.layers,
+      operations: ops.map(operation),
+      layerId: optionalId(doc.layerId, "layerId"),
+    };
+  },
+};
+
+function validate(event, payload) {
+  const validator = validators[event];
+  if (!validator) fail(`Unknown event: ${event}`);
+  return validator(payload);
+}
+
+module.exports = { validate, ValidationError, operation };
@@ -0,0 +1,85 @@
+// A room's chat and comment threads, shared by the browser and the server
+// Everything said in a room is an entry, applied in order:
+//   { type: "chat", id, userId, username, text, timestamp }
+//   { type: "comment", id, userId, username, x, y, text, timestamp }
+//   { type: "reply", id, commentId, userId, username, text, timestamp }
+//   { type: "resolve", commentId, resolved, userId, username, timestamp }
+// A comment is pinned to a point on the board (world coordinates) and
+// collects its replies; resolving it closes the thread, resolving with
+// `resolved: false` reopens it.
+// The server keeps the entries in the room's chat log and sends newcomers
+// the compact form (entries()), where comments carry their replies and
+// resolved state. Only the newest `maxMessages` chat messages are kept;
+// past `maxComments` the oldest resolved comments go first.
+// Loaded with <script> in the client (window.BoardDiscussion) and
+// require() on the server, so it must stay dependency-free.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BoardDiscussion = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  class Discussion {
+    constructor({ maxMessages = Infinity, maxComments = Infinity } = {}) {
+      this.maxMessages = maxMessages;
+      this.maxComments = maxComments;
+      this.messages = []; // chat entries, oldest first
+      this.comments = new Map(); // id → comment with replies, oldest first
+    }
+
+    static fromEntries(entries, options) {
+      const discussion = new Discussion(options);
+      for (const entry of entries) discussion.apply(entry);
+      return discussion;
+    }
+
+    // false when the entry is about a comment that is gone
+    apply(entry) {
+      if (entry.type === "chat") {
+        this.messages.push(entry);
+        if (this.messages.length > this.maxMessages) this.messages.shift();
+        return true;
+      }
+
+      if (entry.type === "comment") {
+        this.comments.set(entry.id, {
+          replies: [],
+          resolved: false,
+          resolvedBy: null,
+          ...entry,
+        });
+        this.evict();
+        return true;
+      }
+
+      const comment = this.comments.get(entry.commentId);
+      if (!comment) return false;
+
+      if (entry.type === "reply") comment.replies.push(entry);
+      if (entry.type === "resolve") {
+        comment.resolved = entry.resolved;
+        comment.resolvedBy = entry.resolved ? entry.username : null;
+      }
+      return true;
+    }
+
+    // Oldest resolved comments make room for new ones
+    evict() {
+      for (const [id, comment] of this.comments) {
+        if (this.comments.size <= this.maxComments) return;
+        if (comment.resolved) this.comments.delete(id);
+      }
+    }
+
+    openComments() {
+      return [...this.comments.values()].filter((c) => !c.resolved);
+    }
+
+    // Everything still kept, as entries that rebuild it (comments first,
+    // so a reply never arrives before its thread)
+    entries() {
+      return [...this.comments.values(), ...this.messages];
+    }
+  }
+
+  return Discussion;
+});
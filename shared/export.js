@@ -0,0 +1,314 @@
+// Board export formats shared by the browser and the server
+// - JSON: versioned document of the active operations
+// - SVG:  vector rendering (eraser strokes become masks over what is below
+//         on their layer)
+// Loaded with <script> in the client (window.BoardExport, after
+// shared/layers.js, shared/stroke.js and shared/fill.js) and require() on
+// the server; it depends on nothing else.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./layers"),
+      require("./stroke"),
+      require("./fill")
+    );
+  } else {
+    root.BoardExport = factory(
+      root.BoardLayers,
+      root.BoardStroke,
+      root.BoardFill
+    );
+  }
+})(typeof self !== "undefined" ? self : this, function (Layers, Stroke, Fill) {
+  const FORMAT = "collaborative-canvas";
+  const VERSION = 1;
+
+  // Must match the renderer in canvas.js
+  const TEXT_FONT = "Arial, sans-serif";
+  const TEXT_LINE_HEIGHT = 1.2;
+  const PADDING = 20;
+
+  // Fields that describe what is drawn; everything else (ids, owners,
+  // seq numbers, edit links) is room-specific and dropped on import
+  const DRAWING_FIELDS = [
+    "type",
+    "tool",
+    "color",
+    "width",
+    "points",
+    "fill",
+    "x0",
+    "y0",
+    "x1",
+    "y1",
+    "x",
+    "y",
+    "text",
+    "fontSize",
+    "smooth",
+    "w",
+    "h",
+    "cols",
+    "rows",
+    "rects",
+    "imageId",
+  ];
+
+  // ----------------------------------------------------------
+  // JSON
+  // ----------------------------------------------------------
+  // `layers` is informational: imports land on the importer's layer
+  function toJSON(ops, roomId, layers = Layers.defaultLayers()) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      roomId,
+      exportedAt: new Date().toISOString(),
+      layers,
+      operations: ops,
+    };
+  }
+
+  // Validate an imported document and return its drawing payloads
+  function parseJSON(doc) {
+    if (!doc || doc.format !== FORMAT) {
+      throw new Error("Not a collaborative-canvas export");
+    }
+    if (doc.version > VERSION) {
+      throw new Error(`Unsupported export version ${doc.version}`);
+    }
+    if (!Array.isArray(doc.operations)) {
+      throw new Error("Export has no operations");
+    }
+    return doc.operations.map(drawingFields);
+  }
+
+  function drawingFields(op) {
+    const out = {};
+    for (const key of DRAWING_FIELDS) {
+      if (op[key] !== undefined) out[key] = op[key];
+    }
+    return out;
+  }
+
+  // ----------------------------------------------------------
+  // BOUNDS (world coordinates, padded)
+  // ----------------------------------------------------------
+  function opBounds(op) {
+    if (op.type === "shape") {
+      const pad = op.tool === "arrow" ? Math.max(10, op.width * 3) : op.width;
+      return {
+        minX: Math.min(op.x0, op.x1) - pad,
+        minY: Math.min(op.y0, op.y1) - pad,
+        maxX: Math.max(op.x0, op.x1) + pad,
+        maxY: Math.max(op.y0, op.y1) + pad,
+      };
+    }
+
+    if (op.type === "text") {
+      // no font metrics here → generous estimate
+      const lines = op.text.split("\n");
+      const longest = Math.max(...lines.map((l) => l.length));
+      return {
+        minX: op.x,
+        minY: op.y,
+        maxX: op.x + longest * op.fontSize * 0.6,
+        maxY: op.y + lines.length * op.fontSize * TEXT_LINE_HEIGHT,
+      };
+    }
+
+    if (op.type === "fill") return Fill.bounds(op);
+    if (op.type === "image") {
+      return { minX: op.x, minY: op.y, maxX: op.x + op.w, maxY: op.y + op.h };
+    }
+
+    const half = op.width / 2;
+    const xs = op.points.map((p) => p.x);
+    const ys = op.points.map((p) => p.y);
+    return {
+      minX: Math.min(...xs) - half,
+      minY: Math.min(...ys) - half,
+      maxX: Math.max(...xs) + half,
+      maxY: Math.max(...ys) + half,
+    };
+  }
+
+  function getBounds(ops) {
+    const drawn = ops.filter((op) => isVisible(op) && op.tool !== "eraser");
+    if (drawn.length === 0) return { x: 0, y: 0, width: 1, height: 1 };
+
+    const b = drawn.map(opBounds).reduce((a, c) => ({
+      minX: Math.min(a.minX, c.minX),
+      minY: Math.min(a.minY, c.minY),
+      maxX: Math.max(a.maxX, c.maxX),
+      maxY: Math.max(a.maxY, c.maxY),
+    }));
+
+    return {
+      x: Math.floor(b.minX - PADDING),
+      y: Math.floor(b.minY - PADDING),
+      width: Math.ceil(b.maxX - b.minX + PADDING * 2),
+      height: Math.ceil(b.maxY - b.minY + PADDING * 2),
+    };
+  }
+
+  // ----------------------------------------------------------
+  // SVG
+  // ----------------------------------------------------------
+  function esc(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // { start, parts } (see shared/stroke.js) → SVG path data
+  function strokePath({ start, parts }) {
+    let d = `M${start.x} ${start.y}`;
+    for (const p of parts) {
+      d +=
+        p.cx === undefined
+          ? `L${p.x} ${p.y}`
+          : `Q${p.cx} ${p.cy} ${p.x} ${p.y}`;
+    }
+    return d;
+  }
+
+  // One <path> per run of equal width (pen pressure varies it)
+  function strokeSVG(op, color) {
+    return Stroke.runs(op)
+      .map(
+        (run) =>
+          `<path d="${strokePath(run)}" fill="none" stroke="${esc(
+            color
+          )}" stroke-width="${run.width}" stroke-linecap="round" stroke-linejoin="round"/>`
+      )
+      .join("");
+  }
+
+  // Same rule as CanvasSystem.drawOp: single-point strokes draw nothing
+  function isVisible(op) {
+    return !op.points || op.points.length > 1;
+  }
+
+  function shapeSVG(op) {
+    const paint = `stroke="${esc(op.color)}" stroke-width="${op.width}"`;
+    const fill = op.fill ? esc(op.color) : "none";
+
+    if (op.tool === "rect") {
+      const x = Math.min(op.x0, op.x1);
+      const y = Math.min(op.y0, op.y1);
+      const w = Math.abs(op.x1 - op.x0);
+      const h = Math.abs(op.y1 - op.y0);
+      return `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fill}" ${paint} stroke-linejoin="round"/>`;
+    }
+
+    if (op.tool === "ellipse") {
+      const cx = (op.x0 + op.x1) / 2;
+      const cy = (op.y0 + op.y1) / 2;
+      const rx = Math.abs(op.x1 - op.x0) / 2;
+      const ry = Math.abs(op.y1 - op.y0) / 2;
+      return `<ellipse cx="${cx}" cy="${cy}" rx="${rx}" ry="${ry}" fill="${fill}" ${paint}/>`;
+    }
+
+    let d = `M${op.x0} ${op.y0}L${op.x1} ${op.y1}`;
+    if (op.tool === "arrow") {
+      const angle = Math.atan2(op.y1 - op.y0, op.x1 - op.x0);
+      const head = Math.max(10, op.width * 3);
+      for (const side of [-1, 1]) {
+        const a = angle + (side * Math.PI) / 6;
+        d += `M${op.x1} ${op.y1}L${op.x1 - head * Math.cos(a)} ${
+          op.y1 - head * Math.sin(a)
+        }`;
+      }
+    }
+    return `<path d="${d}" fill="none" ${paint} stroke-linecap="round" stroke-linejoin="round"/>`;
+  }
+
+  function textSVG(op) {
+    const lines = op.text
+      .split("\n")
+      .map(
+        (line, i) =>
+          `<tspan x="${op.x}" y="${
+            op.y + i * op.fontSize * TEXT_LINE_HEIGHT
+          }">${esc(line)}</tspan>`
+      )
+      .join("");
+
+    return `<text font-family="${TEXT_FONT}" font-size="${op.fontSize}" fill="${esc(
+      op.color
+    )}" dominant-baseline="hanging" xml:space="preserve">${lines}</text>`;
+  }
+
+  // `href` is the picture's URL (or data: URI); none → left out
+  function imageSVG(op, href) {
+    if (!href) return "";
+    return `<image href="${esc(href)}" x="${op.x}" y="${op.y}" width="${op.w}" height="${op.h}" preserveAspectRatio="none"/>`;
+  }
+
+  function opSVG(op, imageHref) {
+    if (op.type === "image") return imageSVG(op, imageHref(op));
+    if (op.type === "shape") return shapeSVG(op);
+    if (op.type === "text") return textSVG(op);
+    if (op.type === "fill") {
+      return `<path d="${Fill.pathData(op)}" fill="${esc(op.color)}"/>`;
+    }
+    return strokeSVG(op, op.color);
+  }
+
+  // With `layers`, hidden layers are skipped and the rest stacked bottom
+  // first; without, everything is one layer. `imageHref(op)` gives the
+  // picture for an image op (without it images are left out).
+  function toSVG(
+    ops,
+    { background = "#ffffff", layers = null, imageHref = () => null } = {}
+  ) {
+    const groups = layers
+      ? Layers.byLayer(ops, layers).map((group) => group.ops)
+      : [ops];
+    const b = getBounds(groups.flat());
+    const defs = [];
+
+    let body = "";
+    for (const group of groups) body += layerSVG(group, b, defs, imageHref);
+
+    const bg = background
+      ? `<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${
+          b.height
+        }" fill="${esc(background)}"/>`
+      : "";
+
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${b.width}" height="${b.height}" viewBox="${b.x} ${b.y} ${b.width} ${b.height}">` +
+      `<defs>${defs.join("")}</defs>${bg}${body}</svg>`
+    );
+  }
+
+  // Eraser = destination-out: it hides everything drawn *before* it on
+  // its layer, so the layer so far is wrapped in a group masked by the
+  // eraser path (masks are collected in `defs`)
+  function layerSVG(ops, b, defs, imageHref) {
+    let body = "";
+    for (const op of ops.filter(isVisible)) {
+      if (op.tool !== "eraser") {
+        body += opSVG(op, imageHref);
+        continue;
+      }
+
+      const id = `erase-${defs.length}`;
+      defs.push(
+        `<mask id="${id}" maskUnits="userSpaceOnUse" x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}">` +
+          `<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" fill="#fff"/>` +
+          strokeSVG(op, "#000") +
+          `</mask>`
+      );
+      body = `<g mask="url(#${id})">${body}</g>`;
+    }
+    return body;
+  }
+
+  return { FORMAT, VERSION, toJSON, parseJSON, opBounds, getBounds, toSVG };
+});
@@ -0,0 +1,179 @@
+// Paint-bucket fills shared by the browser and the server
+// A fill op stores the area it covers, not how it was found, so every
+// client (and the SVG export) paints exactly the same thing whatever its
+// window size or zoom:
+//   { type: "fill", x, y, w, h, cols, rows, rects, color }
+// The world box (x, y, w, h) is split into a grid of cols × rows cells;
+// `rects` lists the filled cells as rectangles, flattened to
+// [col, row, width, height, col, row, …].
+// The client that fills finds the area with `flood()` on the board as it
+// looks (all visible layers, rendered at `cellSize()`), then `dilate()`s
+// it under the antialiased edges around it and packs it with `toRects()`.
+// Loaded with <script> in the client (window.BoardFill) and require() on
+// the server, so it must stay dependency-free.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BoardFill = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // Same limits as the server's (validation.maxFillCells / maxFillRects)
+  const MAX_CELLS = 4e6;
+  const MAX_RECTS = 20000;
+
+  // World units per cell: 1 (the PNG export's resolution) unless the
+  // board is too large for MAX_CELLS, then the next power of two that fits
+  function cellSize(width, height) {
+    let cell = 1;
+    while (Math.ceil(width / cell) * Math.ceil(height / cell) > MAX_CELLS) {
+      cell *= 2;
+    }
+    return cell;
+  }
+
+  // ----------------------------------------------------------
+  // FINDING THE AREA
+  // ----------------------------------------------------------
+
+  // Cells connected to (col, row) whose color is within `tolerance`
+  // (0–100, % of each RGBA channel's range) of its color, as a mask over
+  // `pixels` (RGBA, cols × rows). null when the area reaches the edge of
+  // the grid: it isn't closed, and the board is endless.
+  function flood(pixels, cols, rows, col, row, tolerance) {
+    if (col < 0 || row < 0 || col >= cols || row >= rows) return null;
+
+    const limit = (tolerance / 100) * 255;
+    const seed = (row * cols + col) * 4;
+    const matches = (i) => {
+      for (let c = 0; c < 4; c++) {
+        if (Math.abs(pixels[i * 4 + c] - pixels[seed + c]) > limit) {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    const mask = new Uint8Array(cols * rows);
+    const stack = [row * cols + col];
+    mask[stack[0]] = 1;
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % cols;
+      const y = (i - x) / cols;
+      if (x === 0 || y === 0 || x === cols - 1 || y === rows - 1) return null;
+
+      for (const n of [i - 1, i + 1, i - cols, i + cols]) {
+        if (!mask[n] && matches(n)) {
+          mask[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+    return mask;
+  }
+
+  // The mask grown by one cell in every direction, so the fill tucks
+  // under the soft edges of the lines around it instead of leaving a rim
+  function dilate(mask, cols, rows) {
+    const wide = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) {
+      const x = i % cols;
+      wide[i] =
+        mask[i] || (x > 0 && mask[i - 1]) || (x < cols - 1 && mask[i + 1]);
+    }
+
+    const out = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) {
+      out[i] =
+        wide[i] || (i >= cols && wide[i - cols]) || wide[i + cols] ? 1 : 0;
+    }
+    return out;
+  }
+
+  // The mask as rectangles (see above): runs of cells per row, stacked
+  // while the rows below have a run with the same ends
+  function toRects(mask, cols, rows) {
+    const out = [];
+    let open = new Map(); // run → [col, row, width, height] growing down
+
+    for (let row = 0; row <= rows; row++) {
+      const next = new Map();
+      for (let col = 0; row < rows && col < cols; col++) {
+        if (!mask[row * cols + col]) continue;
+
+        const start = col;
+        while (col < cols && mask[row * cols + col]) col++;
+        const run = start * (cols + 1) + col;
+        const rect = open.get(run) || [start, row, col - start, 0];
+        rect[3]++;
+        open.delete(run);
+        next.set(run, rect);
+      }
+      for (const rect of open.values()) out.push(...rect);
+      open = next;
+    }
+    return out;
+  }
+
+  // ----------------------------------------------------------
+  // GEOMETRY (world coordinates)
+  // ----------------------------------------------------------
+
+  // The filled rectangles as { x, y, width, height }
+  function worldRects(op) {
+    const cw = op.w / op.cols;
+    const ch = op.h / op.rows;
+    const out = [];
+    for (let i = 0; i < op.rects.length; i += 4) {
+      const [col, row, width, height] = op.rects.slice(i, i + 4);
+      out.push({
+        x: op.x + col * cw,
+        y: op.y + row * ch,
+        width: width * cw,
+        height: height * ch,
+      });
+    }
+    return out;
+  }
+
+  function bounds(op) {
+    const rects = worldRects(op);
+    return {
+      minX: Math.min(...rects.map((r) => r.x)),
+      minY: Math.min(...rects.map((r) => r.y)),
+      maxX: Math.max(...rects.map((r) => r.x + r.width)),
+      maxY: Math.max(...rects.map((r) => r.y + r.height)),
+    };
+  }
+
+  // Whether world point `p` is within `slop` of the filled area
+  function covers(op, p, slop = 0) {
+    return worldRects(op).some(
+      (r) =>
+        p.x >= r.x - slop &&
+        p.x <= r.x + r.width + slop &&
+        p.y >= r.y - slop &&
+        p.y <= r.y + r.height + slop
+    );
+  }
+
+  // SVG path data; all rectangles turn the same way, so touching ones
+  // fill as one area without seams
+  function pathData(op) {
+    return worldRects(op)
+      .map((r) => `M${r.x} ${r.y}h${r.width}v${r.height}h${-r.width}z`)
+      .join("");
+  }
+
+  return {
+    MAX_CELLS,
+    MAX_RECTS,
+    cellSize,
+    flood,
+    dilate,
+    toRects,
+    worldRects,
+    bounds,
+    covers,
+    pathData,
+  };
+});
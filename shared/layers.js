@@ -0,0 +1,42 @@
+// Board layers shared by the browser and the server
+// A room has an ordered list of layers, bottom first:
+//   { id, name, visible, locked }
+// Every drawn op belongs to one layer (op.layerId; ops from before layers
+// existed belong to the default layer). Layers are painted separately and
+// then stacked, so an eraser only affects the layer it was drawn on.
+// Loaded with <script> in the client (window.BoardLayers) and require() on
+// the server, so it must stay dependency-free.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BoardLayers = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const DEFAULT_LAYER_ID = "base";
+
+  function defaultLayers() {
+    return [
+      { id: DEFAULT_LAYER_ID, name: "Layer 1", visible: true, locked: false },
+    ];
+  }
+
+  function layerOf(op) {
+    return op.layerId || DEFAULT_LAYER_ID;
+  }
+
+  // Ops grouped per layer, bottom layer first, keeping their order within
+  // a layer: [{ layer, ops }]. Hidden layers are left out unless asked
+  // for; ops on deleted layers always are.
+  function byLayer(ops, layers, { hidden = false } = {}) {
+    const groups = new Map();
+    for (const layer of layers) {
+      if (hidden || layer.visible) groups.set(layer.id, { layer, ops: [] });
+    }
+    for (const op of ops) {
+      const group = groups.get(layerOf(op));
+      if (group) group.ops.push(op);
+    }
+    return [...groups.values()];
+  }
+
+  return { DEFAULT_LAYER_ID, defaultLayers, layerOf, byLayer };
+});
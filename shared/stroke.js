@@ -0,0 +1,161 @@
+// Freehand stroke rendering rules shared by the browser and the server
+// - Pen strokes carry a `pressure` (0–1) on every point and are drawn
+//   thinner where the pen pressed lightly.
+// - Strokes with `smooth: true` are drawn as quadratic curves through the
+//   midpoints of their segments instead of straight lines.
+// The canvas (live previews and committed ops) and the SVG export all go
+// through `piece()` / `runs()`, so a stroke looks the same for everyone
+// who sees it. `simplify()` drops points before a stroke is committed.
+// Loaded with <script> in the client (window.BoardStroke) and require()
+// on the server, so it must stay dependency-free.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BoardStroke = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // Pressure is stored in steps of 1/PRESSURE_STEPS (exact on the wire)
+  const PRESSURE_STEPS = 100;
+  // Share of the stroke width drawn at zero pressure
+  const MIN_WIDTH_FACTOR = 0.2;
+
+  function quantizePressure(pressure) {
+    const p = Math.min(1, Math.max(0, pressure));
+    return Math.round(p * PRESSURE_STEPS) / PRESSURE_STEPS;
+  }
+
+  // Drawn width for a pressure (undefined → no pen, full width)
+  function widthAt(width, pressure) {
+    if (pressure === undefined) return width;
+    const w = width * (MIN_WIDTH_FACTOR + (1 - MIN_WIDTH_FACTOR) * pressure);
+    return Math.round(w * 100) / 100;
+  }
+
+  // Pressure of the segment a → b (points without one count as 1)
+  function segmentPressure(a, b) {
+    if (a.pressure === undefined && b.pressure === undefined) return undefined;
+    const pa = a.pressure === undefined ? 1 : a.pressure;
+    const pb = b.pressure === undefined ? 1 : b.pressure;
+    return quantizePressure((pa + pb) / 2);
+  }
+
+  const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+  // ----------------------------------------------------------
+  // PATHS
+  // A path is { start, parts }: a part is { x, y } (line to) or
+  // { cx, cy, x, y } (quadratic curve with control point cx, cy).
+  // ----------------------------------------------------------
+
+  // What segment a → b adds to its stroke. Smooth: a curve from the
+  // middle of the previous segment (prev → a) through `a` to the middle
+  // of this one; the first segment only reaches its middle. Live previews
+  // draw one piece per segment as it arrives.
+  function piece(prev, a, b, smooth) {
+    if (!smooth) return { start: a, parts: [b] };
+
+    const end = mid(a, b);
+    if (!prev) return { start: a, parts: [end] };
+    return {
+      start: mid(prev, a),
+      parts: [{ cx: a.x, cy: a.y, x: end.x, y: end.y }],
+    };
+  }
+
+  // Ops never change once committed, so their runs are computed once
+  const cache = new WeakMap();
+
+  // A stroke as paths of one width each: consecutive pieces of equal
+  // width (all of them without pen pressure) are joined up
+  function runs(op) {
+    if (cache.has(op)) return cache.get(op);
+
+    const pts = op.points;
+    const out = [];
+    let run = null;
+    const add = ({ start, parts }, width) => {
+      if (run && run.width === width) {
+        run.parts.push(...parts);
+      } else {
+        run = { width, start, parts: [...parts] };
+        out.push(run);
+      }
+    };
+
+    let width = op.width;
+    for (let i = 1; i < pts.length; i++) {
+      width = widthAt(op.width, segmentPressure(pts[i - 1], pts[i]));
+      add(piece(pts[i - 2], pts[i - 1], pts[i], op.smooth), width);
+    }
+    // a smooth stroke still has to reach its last point
+    if (op.smooth && pts.length > 1) {
+      const last = pts[pts.length - 1];
+      add({ start: mid(pts[pts.length - 2], last), parts: [last] }, width);
+    }
+
+    cache.set(op, out);
+    return out;
+  }
+
+  // ----------------------------------------------------------
+  // SIMPLIFICATION (Ramer–Douglas–Peucker)
+  // ----------------------------------------------------------
+
+  // How far `p` is from the segment a → b, counting a pressure change as
+  // the distance the stroke's edge moves
+  function deviation(p, a, b, width) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    let t = len2 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+    t = Math.min(1, Math.max(0, t));
+    const dist = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    if (p.pressure === undefined) return dist;
+
+    const pa = a.pressure === undefined ? 1 : a.pressure;
+    const pb = b.pressure === undefined ? 1 : b.pressure;
+    const edge =
+      Math.abs(
+        widthAt(width, p.pressure) - widthAt(width, pa + t * (pb - pa))
+      ) / 2;
+    return Math.max(dist, edge);
+  }
+
+  // Points of a stroke with everything within `tolerance` (world units)
+  // of the line through its neighbours dropped; first and last are kept
+  function simplify(points, tolerance, width = 0) {
+    if (points.length < 3 || !(tolerance > 0)) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+
+    // iterative, so long strokes can't overflow the stack
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+      const [first, last] = stack.pop();
+      let worst = 0;
+      let index = -1;
+      for (let i = first + 1; i < last; i++) {
+        const d = deviation(points[i], points[first], points[last], width);
+        if (d > worst) {
+          worst = d;
+          index = i;
+        }
+      }
+      if (worst > tolerance) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+    return points.filter((p, i) => keep[i]);
+  }
+
+  return {
+    PRESSURE_STEPS,
+    quantizePressure,
+    widthAt,
+    segmentPressure,
+    piece,
+    runs,
+    simplify,
+  };
+});
@@ -0,0 +1,64 @@
+// Geometry edits shared by the browser and the server
+// A transform is { dx, dy, sx, sy, ox, oy, color } (all optional):
+//   scale by (sx, sy) around (ox, oy), then move by (dx, dy), then recolor.
+// The server applies it to build the edited copies it commits; the client
+// applies it to preview a drag before committing.
+// Loaded with <script> in the client (window.BoardTransform) and require()
+// on the server, so it must stay dependency-free.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BoardTransform = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  function mapPoint(p, t) {
+    const { dx = 0, dy = 0, sx = 1, sy = 1, ox = 0, oy = 0 } = t;
+    return { x: ox + (p.x - ox) * sx + dx, y: oy + (p.y - oy) * sy + dy };
+  }
+
+  // Copy of `op` with its geometry (and color) changed. Stroke widths
+  // stay as they are; text scales its font with the average factor; a
+  // fill stretches its grid (its cells stay where they are in it) and an
+  // image its picture. Images keep their colors.
+  function transformOp(op, t) {
+    const out = { ...op };
+
+    if (op.type === "shape") {
+      const a = mapPoint({ x: op.x0, y: op.y0 }, t);
+      const b = mapPoint({ x: op.x1, y: op.y1 }, t);
+      Object.assign(out, { x0: a.x, y0: a.y, x1: b.x, y1: b.y });
+    } else if (op.type === "text") {
+      const at = mapPoint(op, t);
+      const scale = (Math.abs(t.sx || 1) + Math.abs(t.sy || 1)) / 2;
+      Object.assign(out, { x: at.x, y: at.y, fontSize: op.fontSize * scale });
+    } else if (op.type === "fill" || op.type === "image") {
+      const a = mapPoint(op, t);
+      const b = mapPoint({ x: op.x + op.w, y: op.y + op.h }, t);
+      Object.assign(out, { x: a.x, y: a.y, w: b.x - a.x, h: b.y - a.y });
+    } else {
+      out.points = op.points.map((p) => ({ ...p, ...mapPoint(p, t) }));
+    }
+
+    if (t.color && op.tool !== "eraser" && op.type !== "image") {
+      out.color = t.color;
+    }
+    return out;
+  }
+
+  // Scale that takes box `from` to box `to`, as a transform
+  // (boxes are { minX, minY, maxX, maxY }; `from` keeps its min corner
+  // fixed when `to` shares it)
+  function fitBox(from, to) {
+    const w = from.maxX - from.minX || 1;
+    const h = from.maxY - from.minY || 1;
+    return {
+      sx: (to.maxX - to.minX) / w,
+      sy: (to.maxY - to.minY) / h,
+      ox: from.minX,
+      oy: from.minY,
+      dx: to.minX - from.minX,
+      dy: to.minY - from.minY,
+    };
+  }
+
+  return { mapPoint, transformOp, fitBox };
+});
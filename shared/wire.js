@@ -0,0 +1,469 @@
+// Compact binary encoding for the high-volume socket events
+// (stroke, stroke-batch, stroke-complete, cursor). Clients opt in with
+// `encoding: "binary"` at join; everyone else keeps plain JSON.
+// Loaded with <script> in the client (window.BoardWire) and require() on
+// the server, so it must stay dependency-free.
+//
+// Message layout: [version][string table][body]
+//   - integers are zigzag LEB128 varints
+//   - coordinates and widths are quantized to 1/QUANT of a world unit and
+//     delta-encoded against the previous coordinate
+//   - a segment that starts where the previous one ended skips x0/y0
+//   - pen pressure is rounded to 1/PRESSURE_STEPS, like the server does
+//   - committed ops (stroke-complete) are never rounded: their points are
+//     packed only when already on the grid (the server stores them that
+//     way, see quantize()), otherwise they travel as JSON. Every replica
+//     holds the same geometry whichever format it negotiated; only live
+//     previews are approximate.
+//   - repeated strings (colors, tools, ids) are stored once in the table
+//   - fields the format does not know about travel as a JSON string, so
+//     new protocol fields never get lost on the binary path
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BoardWire = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const VERSION = 1;
+  const ENCODING = "binary";
+  const QUANT = 10; // 0.1 world units
+  const PRESSURE_STEPS = 100; // same steps as shared/stroke.js
+  const EVENTS = new Set([
+    "stroke",
+    "stroke-batch",
+    "stroke-complete",
+    "cursor",
+  ]);
+
+  // Segment flags
+  const SEG_SHAPE = 1;
+  const SEG_FILL = 2;
+  const SEG_CHAINED = 4;
+  const SEG_STROKE_ID = 8;
+  const SEG_USER_ID = 16;
+  const SEG_EXTRA = 32;
+  const SEG_PRESSURE = 64;
+  const SEG_SMOOTH = 128;
+  const SEGMENT_FIELDS = [
+    "kind",
+    "tool",
+    "color",
+    "width",
+    "fill",
+    "x0",
+    "y0",
+    "x1",
+    "y1",
+    "strokeId",
+    "userId",
+    "pressure",
+    "smooth",
+  ];
+
+  // Cursor flags (optional string fields follow in this order)
+  const CURSOR_REMOVE = 1;
+  const CURSOR_EXTRA = 2;
+  const CURSOR_STRINGS = ["socketId", "userId", "username", "color"];
+  const CURSOR_FIELDS = ["x", "y", ...CURSOR_STRINGS];
+
+  // Operation flags
+  const OP_POINTS = 1;
+  const OP_PRESSURE = 2;
+
+  const utf8 = new TextEncoder();
+  const utf8Decoder = new TextDecoder();
+
+  // ----------------------------------------------------------
+  // WRITER / READER
+  // ----------------------------------------------------------
+  class Writer {
+    constructor() {
+      this.bytes = new Uint8Array(64);
+      this.length = 0;
+      this.strings = [];
+      this.stringIndex = new Map();
+    }
+
+    reserve(n) {
+      if (this.length + n <= this.bytes.length) return;
+      let size = this.bytes.length * 2;
+      while (size < this.length + n) size *= 2;
+      const grown = new Uint8Array(size);
+      grown.set(this.bytes.subarray(0, this.length));
+      this.bytes = grown;
+    }
+
+    byte(b) {
+      this.reserve(1);
+      this.bytes[this.length++] = b;
+    }
+
+    raw(bytes) {
+      this.reserve(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
+    }
+
+    // arithmetic instead of bit ops: safe past 2^31
+    uint(n) {
+      while (n >= 0x80) {
+        this.byte((n % 0x80) | 0x80);
+        n = Math.floor(n / 0x80);
+      }
+      this.byte(n);
+    }
+
+    int(n) {
+      this.uint(n >= 0 ? n * 2 : -n * 2 - 1);
+    }
+
+    string(s) {
+      const key = String(s);
+      if (!this.stringIndex.has(key)) {
+        this.stringIndex.set(key, this.strings.length);
+        this.strings.push(key);
+      }
+      this.uint(this.stringIndex.get(key));
+    }
+
+    // header + string table + body
+    finish() {
+      const out = new Writer();
+      out.byte(VERSION);
+      out.uint(this.strings.length);
+      for (const s of this.strings) {
+        const bytes = utf8.encode(s);
+        out.uint(bytes.length);
+        out.raw(bytes);
+      }
+      out.raw(this.bytes.subarray(0, this.length));
+      return out.bytes.slice(0, out.length);
+    }
+  }
+
+  class Reader {
+    constructor(data) {
+      this.bytes = toBytes(data);
+      this.pos = 0;
+
+      const version = this.byte();
+      if (version !== VERSION) {
+        throw new Error(`Unsupported wire version ${version}`);
+      }
+
+      const count = this.uint();
+      if (count > this.bytes.length) throw new Error("Corrupt string table");
+      this.strings = [];
+      for (let i = 0; i < count; i++) {
+        const len = this.uint();
+        if (this.pos + len > this.bytes.length) throw new Error("Truncated");
+        this.strings.push(
+          utf8Decoder.decode(this.bytes.subarray(this.pos, this.pos + len))
+        );
+        this.pos += len;
+      }
+    }
+
+    byte() {
+      if (this.pos >= this.bytes.length) throw new Error("Truncated");
+      return this.bytes[this.pos++];
+    }
+
+    uint() {
+      let n = 0;
+      let scale = 1;
+      for (let i = 0; i < 8; i++) {
+        const b = this.byte();
+        n += (b & 0x7f) * scale;
+        if (b < 0x80) return n;
+        scale *= 0x80;
+      }
+      throw new Error("Varint too long");
+    }
+
+    int() {
+      const n = this.uint();
+      return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+    }
+
+    string() {
+      const s = this.strings[this.uint()];
+      if (s === undefined) throw new Error("Bad string reference");
+      return s;
+    }
+
+    // remaining bytes must be exactly consumed
+    end() {
+      if (this.pos !== this.bytes.length) throw new Error("Trailing bytes");
+    }
+  }
+
+  // Socket.IO hands us Buffer (node), ArrayBuffer (browser) or a view
+  function toBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw new Error("Expected a binary payload");
+  }
+
+  function isBinary(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+  }
+
+  const q = (v) => Math.round(v * QUANT);
+  const dq = (n) => n / QUANT;
+
+  // A coordinate on the wire's grid: encodes and decodes to itself
+  const quantize = (v) => dq(q(v));
+
+  // pressure 0–1 → 0 … PRESSURE_STEPS
+  const step = (p) => Math.round(Math.min(1, Math.max(0, p)) * PRESSURE_STEPS);
+
+  // Fields outside `known` → JSON (or null when there are none)
+  function extraFields(obj, known) {
+    let extra = null;
+    for (const key of Object.keys(obj)) {
+      if (known.includes(key) || obj[key] === undefined) continue;
+      (extra ||= {})[key] = obj[key];
+    }
+    return extra && JSON.stringify(extra);
+  }
+
+  // ----------------------------------------------------------
+  // SEGMENTS (stroke / stroke-batch)
+  // ----------------------------------------------------------
+  // `prev` carries the last quantized end point between segments
+  function writeSegment(w, seg, prev) {
+    const x0 = q(seg.x0);
+    const y0 = q(seg.y0);
+    const x1 = q(seg.x1);
+    const y1 = q(seg.y1);
+    const extra = extraFields(seg, SEGMENT_FIELDS);
+
+    let flags = 0;
+    if (seg.kind === "shape") flags |= SEG_SHAPE;
+    if (seg.fill) flags |= SEG_FILL;
+    if (x0 === prev.x && y0 === prev.y) flags |= SEG_CHAINED;
+    if (seg.strokeId) flags |= SEG_STROKE_ID;
+    if (seg.userId) flags |= SEG_USER_ID;
+    if (extra) flags |= SEG_EXTRA;
+    if (Number.isFinite(seg.pressure)) flags |= SEG_PRESSURE;
+    if (seg.smooth) flags |= SEG_SMOOTH;
+
+    w.byte(flags);
+    w.string(seg.tool);
+    w.string(seg.color);
+    w.int(q(seg.width));
+    if (flags & SEG_STROKE_ID) w.string(seg.strokeId);
+    if (flags & SEG_USER_ID) w.string(seg.userId);
+
+    if (!(flags & SEG_CHAINED)) {
+      w.int(x0 - prev.x);
+      w.int(y0 - prev.y);
+    }
+    w.int(x1 - x0);
+    w.int(y1 - y0);
+    if (flags & SEG_PRESSURE) w.uint(step(seg.pressure));
+    if (extra) w.string(extra);
+
+    prev.x = x1;
+    prev.y = y1;
+  }
+
+  function readSegment(r, prev) {
+    const flags = r.byte();
+    const seg = {};
+    if (flags & SEG_SHAPE) seg.kind = "shape";
+    seg.tool = r.string();
+    seg.color = r.string();
+    seg.width = dq(r.int());
+    if (flags & SEG_SHAPE) seg.fill = Boolean(flags & SEG_FILL);
+    if (flags & SEG_STROKE_ID) seg.strokeId = r.string();
+    if (flags & SEG_USER_ID) seg.userId = r.string();
+    if (flags & SEG_SMOOTH) seg.smooth = true;
+
+    let x0 = prev.x;
+    let y0 = prev.y;
+    if (!(flags & SEG_CHAINED)) {
+      x0 += r.int();
+      y0 += r.int();
+    }
+    const x1 = x0 + r.int();
+    const y1 = y0 + r.int();
+    Object.assign(seg, { x0: dq(x0), y0: dq(y0), x1: dq(x1), y1: dq(y1) });
+    if (flags & SEG_PRESSURE) seg.pressure = r.uint() / PRESSURE_STEPS;
+
+    prev.x = x1;
+    prev.y = y1;
+    return flags & SEG_EXTRA ? { ...seg, ...JSON.parse(r.string()) } : seg;
+  }
+
+  // ----------------------------------------------------------
+  // OPERATIONS (stroke-complete)
+  // Points are the bulk of an op; the rest (ids, style, text …) is
+  // small and varies by op type, so it rides along as JSON.
+  // Pen strokes add one pressure per point (0 … PRESSURE_STEPS, or
+  // PRESSURE_STEPS + 1 for a point without one).
+  // ----------------------------------------------------------
+  // A point that packs without losing anything
+  function plainPoint(p) {
+    if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) return false;
+    if (quantize(p.x) !== p.x || quantize(p.y) !== p.y) return false;
+    if (p.pressure === undefined) return Object.keys(p).length === 2;
+    return (
+      Number.isFinite(p.pressure) &&
+      step(p.pressure) / PRESSURE_STEPS === p.pressure &&
+      Object.keys(p).length === 3
+    );
+  }
+
+  function writeOperation(w, op) {
+    const packPoints = Array.isArray(op.points) && op.points.every(plainPoint);
+    const pressure =
+      packPoints && op.points.some((p) => p.pressure !== undefined);
+    const { points, ...meta } = op;
+
+    w.byte((packPoints ? OP_POINTS : 0) | (pressure ? OP_PRESSURE : 0));
+    w.string(JSON.stringify(packPoints ? meta : op));
+    if (!packPoints) return;
+
+    w.uint(points.length);
+    let px = 0;
+    let py = 0;
+    for (const p of points) {
+      const x = q(p.x);
+      const y = q(p.y);
+      w.int(x - px);
+      w.int(y - py);
+      px = x;
+      py = y;
+    }
+    if (!pressure) return;
+
+    for (const p of points) {
+      w.uint(p.pressure === undefined ? PRESSURE_STEPS + 1 : step(p.pressure));
+    }
+  }
+
+  function readOperation(r) {
+    const flags = r.byte();
+    const op = JSON.parse(r.string());
+    if (!(flags & OP_POINTS)) return op;
+
+    const count = r.uint();
+    if (count > r.bytes.length) throw new Error("Corrupt point count");
+    const points = new Array(count);
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < count; i++) {
+      x += r.int();
+      y += r.int();
+      points[i] = { x: dq(x), y: dq(y) };
+    }
+    if (flags & OP_PRESSURE) {
+      for (const p of points) {
+        const step = r.uint();
+        if (step <= PRESSURE_STEPS) p.pressure = step / PRESSURE_STEPS;
+      }
+    }
+    return { ...op, points };
+  }
+
+  // ----------------------------------------------------------
+  // CURSORS ({ x, y, … } or { remove: socketId })
+  // ----------------------------------------------------------
+  function writeCursor(w, cursor) {
+    if (cursor.remove !== undefined) {
+      w.byte(CURSOR_REMOVE);
+      w.string(cursor.remove);
+      return;
+    }
+
+    const extra = extraFields(cursor, CURSOR_FIELDS);
+    w.byte(extra ? CURSOR_EXTRA : 0);
+    w.int(q(cursor.x));
+    w.int(q(cursor.y));
+
+    let present = 0;
+    CURSOR_STRINGS.forEach((key, i) => {
+      if (cursor[key] !== undefined) present |= 1 << i;
+    });
+    w.byte(present);
+    CURSOR_STRINGS.forEach((key, i) => {
+      if (present & (1 << i)) w.string(cursor[key]);
+    });
+    if (extra) w.string(extra);
+  }
+
+  function readCursor(r) {
+    const flags = r.byte();
+    if (flags & CURSOR_REMOVE) return { remove: r.string() };
+
+    const cursor = { x: dq(r.int()), y: dq(r.int()) };
+    const present = r.byte();
+    CURSOR_STRINGS.forEach((key, i) => {
+      if (present & (1 << i)) cursor[key] = r.string();
+    });
+    return flags & CURSOR_EXTRA
+      ? { ...cursor, ...JSON.parse(r.string()) }
+      : cursor;
+  }
+
+  // ----------------------------------------------------------
+  // PUBLIC API
+  // ----------------------------------------------------------
+  function encode(event, payload) {
+    const w = new Writer();
+
+    if (event === "stroke") {
+      writeSegment(w, payload, { x: 0, y: 0 });
+    } else if (event === "stroke-batch") {
+      const prev = { x: 0, y: 0 };
+      w.uint(payload.length);
+      for (const seg of payload) writeSegment(w, seg, prev);
+    } else if (event === "stroke-complete") {
+      writeOperation(w, payload);
+    } else if (event === "cursor") {
+      writeCursor(w, payload);
+    } else {
+      throw new Error(`No binary encoding for "${event}"`);
+    }
+
+    return w.finish();
+  }
+
+  function decode(event, data) {
+    const r = new Reader(data);
+    let payload;
+
+    if (event === "stroke") {
+      payload = readSegment(r, { x: 0, y: 0 });
+    } else if (event === "stroke-batch") {
+      const count = r.uint();
+      if (count > r.bytes.length) throw new Error("Corrupt batch length");
+      const prev = { x: 0, y: 0 };
+      payload = [];
+      for (let i = 0; i < count; i++) payload.push(readSegment(r, prev));
+    } else if (event === "stroke-complete") {
+      payload = readOperation(r);
+    } else if (event === "cursor") {
+      payload = readCursor(r);
+    } else {
+      throw new Error(`No binary encoding for "${event}"`);
+    }
+
+    r.end();
+    return payload;
+  }
+
+  return {
+    VERSION,
+    ENCODING,
+    QUANT,
+    EVENTS,
+    quantize,
+    encode,
+    decode,
+    isBinary,
+  };
+});
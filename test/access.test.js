@@ -0,0 +1,210 @@
+// Access control: roles, passwords, invites and bans on their own
+// (server/access.js), then enforced by a running server over its socket
+// and HTTP routes
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RoomAccess, AccessError } = require("../server/access");
+
+// The AccessError `admit` throws, as { message, code }
+function refusal(access, userId, credentials) {
+  try {
+    access.admit(userId, credentials);
+  } catch (err) {
+    assert.ok(err instanceof AccessError);
+    return { message: err.message, code: err.code };
+  }
+  return assert.fail(`${userId} was let in`);
+}
+
+// ----------------------------------------------------------
+// RoomAccess
+// ----------------------------------------------------------
+test("viewers only watch and talk; only the owner manages the room", () => {
+  for (const event of ["stroke", "stroke-complete", "cursor", "undo"]) {
+    assert.equal(RoomAccess.allows("viewer", event), false, event);
+    assert.equal(RoomAccess.allows("editor", event), true, event);
+  }
+  for (const event of ["sync", "chat", "comment"]) {
+    assert.equal(RoomAccess.allows("viewer", event), true, event);
+  }
+  assert.equal(RoomAccess.allows("editor", "access"), false);
+  assert.equal(RoomAccess.allows("editor", "moderate"), false);
+  assert.equal(RoomAccess.allows("owner", "moderate"), true);
+  assert.equal(RoomAccess.allows(null, "sync"), false);
+});
+
+test("the first to join owns the room, later ones get the default role", () => {
+  const access = new RoomAccess();
+  assert.equal(access.admit("owner"), "owner");
+  assert.equal(access.admit("guest"), "editor");
+  access.setDefaultRole("viewer");
+  assert.equal(access.admit("late"), "viewer");
+  assert.throws(() => access.setRole("owner", "viewer"));
+});
+
+test("a closed room refuses a missing or wrong password", () => {
+  const access = new RoomAccess();
+  access.admit("owner", { password: "hunter2" });
+
+  assert.deepEqual(refusal(access, "guest"), {
+    message: "This room needs a password",
+    code: "password",
+  });
+  assert.deepEqual(refusal(access, "guest", { password: "hunter3" }), {
+    message: "Wrong password",
+    code: "password",
+  });
+  assert.equal(access.roleOf("guest"), null);
+
+  assert.equal(access.admit("guest", { password: "hunter2" }), "editor");
+  assert.equal(access.admit("guest"), "editor"); // remembered
+  assert.doesNotMatch(JSON.stringify(access.toJSON()), /hunter2/);
+});
+
+test("an invite lets its holder in once, who is remembered after", () => {
+  const access = new RoomAccess();
+  access.admit("owner", { password: "hunter2" });
+  const invite = access.createInvite("viewer");
+
+  assert.equal(access.admit("guest", { invite }), "viewer");
+  assert.equal(access.admit("guest"), "viewer"); // no invite needed again
+  assert.deepEqual(refusal(access, "other", { invite: invite + "x" }), {
+    message: "This invite link is not valid",
+    code: "invite",
+  });
+  // only its hash is stored
+  assert.doesNotMatch(JSON.stringify(access.toJSON()), new RegExp(invite));
+});
+
+test("a banned user gets in by no means until unbanned", () => {
+  const access = new RoomAccess();
+  access.admit("owner", { password: "hunter2" });
+  const invite = access.createInvite("editor");
+  access.admit("guest", { invite });
+  access.ban("guest", "Guest");
+
+  const banned = { message: "You are banned from this room", code: "banned" };
+  assert.deepEqual(refusal(access, "guest"), banned);
+  assert.deepEqual(refusal(access, "guest", { password: "hunter2" }), banned);
+  assert.deepEqual(refusal(access, "guest", { invite }), banned);
+  assert.equal(access.roleOf("guest"), null);
+  assert.throws(() => access.ban("owner"));
+
+  // bans survive the room being stored and loaded
+  const reloaded = RoomAccess.fromJSON(access.toJSON());
+  assert.deepEqual(refusal(reloaded, "guest", { invite }), banned);
+
+  reloaded.unban("guest");
+  assert.equal(reloaded.admit("guest"), "editor");
+});
+
+// ----------------------------------------------------------
+// Enforced by the server
+// ----------------------------------------------------------
+test("the server enforces roles and bans", async (t) => {
+  process.env.PORT = "0";
+  process.env.STORAGE_DRIVER = "memory";
+  const { io: connect } = require("socket.io-client");
+  const { server, io } = require("../server/server");
+  if (!server.listening) await new Promise((r) => server.once("listening", r));
+  const url = `http://localhost:${server.address().port}`;
+
+  const sockets = [];
+  t.after(() => {
+    sockets.forEach((socket) => socket.close());
+    io.close();
+  });
+
+  const next = (socket, event) =>
+    new Promise((resolve) => socket.once(event, resolve));
+
+  // joins, resolving with what the server answered
+  async function join(join, socket = connect(url)) {
+    sockets.push(socket);
+    const answer = Promise.race([
+      next(socket, "identity"),
+      next(socket, "rejected"),
+    ]);
+    socket.emit("join", { username: join.roomId, ...join });
+    return { socket, answer: await answer };
+  }
+
+  const get = async (path, token) => {
+    const res = await fetch(`${url}/rooms/secret${path}`, {
+      method: path === "/images" ? "POST" : "GET",
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: path === "/images" ? "x" : undefined,
+    });
+    return { status: res.status, ...(await res.json()) };
+  };
+
+  const owner = await join({ roomId: "secret", password: "hunter2" });
+  assert.equal(owner.answer.role, "owner");
+
+  await t.test("a wrong password is refused on join", async () => {
+    const { answer } = await join({ roomId: "secret", password: "nope" });
+    assert.deepEqual(answer, {
+      event: "join",
+      reason: "Wrong password",
+      code: "password",
+    });
+  });
+
+  owner.socket.emit("access", { action: "default-role", role: "viewer" });
+  await next(owner.socket, "access");
+  const viewer = await join({ roomId: "secret", password: "hunter2" });
+  assert.equal(viewer.answer.role, "viewer");
+
+  await t.test("a viewer's drawing is refused", async () => {
+    viewer.socket.emit("stroke-complete", {
+      type: "stroke",
+      tool: "brush",
+      color: "#000000",
+      width: 2,
+      points: [
+        { x: 0, y: 0 },
+        { x: 1, y: 1 },
+      ],
+      clientId: "v-1",
+    });
+    assert.deepEqual(await next(viewer.socket, "rejected"), {
+      event: "stroke-complete",
+      reason: "Viewers can only watch this room",
+      clientId: "v-1",
+    });
+  });
+
+  await t.test("a banned user is refused on join and over HTTP", async () => {
+    const { token, userId } = viewer.answer;
+    assert.equal((await get("/history", token)).status, 200);
+
+    owner.socket.emit("moderate", { action: "ban", userId });
+    await next(owner.socket, "access");
+
+    const again = await join({ roomId: "secret", token, password: "hunter2" });
+    assert.deepEqual(again.answer, {
+      event: "join",
+      reason: "You are banned from this room",
+      code: "banned",
+    });
+
+    const banned = {
+      status: 403,
+      error: "You are banned from this room",
+      code: "banned",
+    };
+    assert.deepEqual(await get("/history", token), banned);
+    assert.deepEqual(await get("/export.json", token), banned);
+    assert.deepEqual(await get(`/images/${"0".repeat(64)}.png`, token), banned);
+    assert.deepEqual(await get("/images", token), banned);
+
+    // strangers are still asked for the password
+    assert.deepEqual(await get("/history"), {
+      status: 403,
+      error: "This room needs a password",
+      code: "password",
+    });
+  });
+});
@@ -0,0 +1,243 @@
+// Per-user undo/redo (server/drawing-state.js): the stacks on their own,
+// then undoOwn/redoOwn against what other users do on the same board
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const DrawingState = require("../server/drawing-state");
+
+const { applyToStacks } = DrawingState;
+
+function stroke(x) {
+  return {
+    type: "stroke",
+    tool: "brush",
+    color: "#000000",
+    width: 2,
+    points: [
+      { x, y: 0 },
+      { x: x + 1, y: 1 },
+    ],
+  };
+}
+
+const visibleIds = (state) => state.getActiveOperations().map((op) => op.id);
+
+function stacks() {
+  return { undo: new Map(), redo: new Map() };
+}
+
+// ----------------------------------------------------------
+// applyToStacks
+// ----------------------------------------------------------
+test("stacks: a change goes on its author's undo stack only", () => {
+  const s = stacks();
+  applyToStacks(s, { type: "stroke", id: "a1", userId: "A" }, 10);
+  applyToStacks(s, { type: "transform", id: "b1", userId: "B" }, 10);
+  applyToStacks(s, { type: "layers", id: "l1", userId: "A" }, 10);
+  assert.deepEqual(s.undo.get("A"), ["a1"]);
+  assert.deepEqual(s.undo.get("B"), ["b1"]);
+});
+
+test("stacks: undo and redo move ids between the stacks", () => {
+  const s = stacks();
+  applyToStacks(s, { type: "stroke", id: "a1", userId: "A" }, 10);
+  applyToStacks(s, { type: "stroke", id: "a2", userId: "A" }, 10);
+  applyToStacks(s, { type: "undo", userId: "A", inverseOf: "a2" }, 10);
+  assert.deepEqual(s.undo.get("A"), ["a1"]);
+  assert.deepEqual(s.redo.get("A"), ["a2"]);
+
+  applyToStacks(s, { type: "redo", userId: "A", redoOf: "a2" }, 10);
+  assert.deepEqual(s.undo.get("A"), ["a1", "a2"]);
+  assert.deepEqual(s.redo.get("A"), []);
+});
+
+test("stacks: a new change clears only its author's redo stack", () => {
+  const s = stacks();
+  applyToStacks(s, { type: "stroke", id: "a1", userId: "A" }, 10);
+  applyToStacks(s, { type: "stroke", id: "b1", userId: "B" }, 10);
+  applyToStacks(s, { type: "undo", userId: "A", inverseOf: "a1" }, 10);
+  applyToStacks(s, { type: "undo", userId: "B", inverseOf: "b1" }, 10);
+  applyToStacks(s, { type: "stroke", id: "a2", userId: "A" }, 10);
+  assert.equal(s.redo.has("A"), false);
+  assert.deepEqual(s.redo.get("B"), ["b1"]);
+});
+
+test("stacks: undo stacks keep the newest `depth` ids", () => {
+  const s = stacks();
+  for (let i = 1; i <= 5; i++) {
+    applyToStacks(s, { type: "stroke", id: `a${i}`, userId: "A" }, 3);
+  }
+  assert.deepEqual(s.undo.get("A"), ["a3", "a4", "a5"]);
+
+  // an undo of something that fell off is a no-op
+  applyToStacks(s, { type: "undo", userId: "A", inverseOf: "a1" }, 3);
+  assert.deepEqual(s.undo.get("A"), ["a3", "a4", "a5"]);
+  assert.deepEqual(s.redo.get("A"), []);
+});
+
+// ----------------------------------------------------------
+// undoOwn / redoOwn
+// ----------------------------------------------------------
+test("interleaved users each undo only their own strokes", () => {
+  const state = new DrawingState("room");
+  const a1 = state.addOperation(stroke(0), "A");
+  const b1 = state.addOperation(stroke(10), "B");
+  const a2 = state.addOperation(stroke(20), "A");
+  const b2 = state.addOperation(stroke(30), "B");
+
+  assert.equal(state.undoOwn("A").inverseOf, a2.id);
+  assert.equal(state.undoOwn("B").inverseOf, b2.id);
+  assert.equal(state.undoOwn("A").inverseOf, a1.id);
+  assert.deepEqual(visibleIds(state), [b1.id]);
+
+  assert.equal(state.undoOwn("A"), null);
+  assert.deepEqual(state.getUndoState("A"), { canUndo: false, canRedo: true });
+
+  assert.equal(state.redoOwn("A").redoOf, a1.id);
+  assert.equal(state.redoOwn("B").redoOf, b2.id);
+  assert.deepEqual(visibleIds(state), [a1.id, b1.id, b2.id]);
+});
+
+test("a user with no history has nothing to undo or redo", () => {
+  const state = new DrawingState("room");
+  state.addOperation(stroke(0), "A");
+  assert.equal(state.undoOwn("B"), null);
+  assert.equal(state.redoOwn("B"), null);
+  assert.deepEqual(state.getUndoState("B"), { canUndo: false, canRedo: false });
+});
+
+test("a new stroke invalidates redo, another user's does not", () => {
+  const state = new DrawingState("room");
+  state.addOperation(stroke(0), "A");
+  const b1 = state.addOperation(stroke(10), "B");
+  state.undoOwn("A");
+  state.undoOwn("B");
+
+  state.addOperation(stroke(20), "A");
+  assert.equal(state.redoOwn("A"), null);
+  assert.equal(state.redoOwn("B").redoOf, b1.id);
+});
+
+test("undo goes back at most undoDepth changes", () => {
+  const state = new DrawingState("room", { undoDepth: 3 });
+  const ops = [1, 2, 3, 4, 5].map((x) => state.addOperation(stroke(x), "A"));
+
+  const undone = [];
+  let undo;
+  while ((undo = state.undoOwn("A"))) undone.push(undo.inverseOf);
+  assert.deepEqual(undone, [ops[4].id, ops[3].id, ops[2].id]);
+  assert.deepEqual(visibleIds(state), [ops[0].id, ops[1].id]);
+
+  // everything undone can be redone, in order
+  const redone = [];
+  let redo;
+  while ((redo = state.redoOwn("A"))) redone.push(redo.redoOf);
+  assert.deepEqual(redone, [ops[2].id, ops[3].id, ops[4].id]);
+});
+
+test("redoing refills the undo stack without dropping older entries", () => {
+  const state = new DrawingState("room", { undoDepth: 2 });
+  const a1 = state.addOperation(stroke(1), "A");
+  const a2 = state.addOperation(stroke(2), "A");
+  state.undoOwn("A");
+  state.redoOwn("A");
+  assert.equal(state.undoOwn("A").inverseOf, a2.id);
+  assert.equal(state.undoOwn("A").inverseOf, a1.id);
+  assert.equal(state.undoOwn("A"), null);
+});
+
+test("the owner's clear blocks undo until the clear is undone", () => {
+  const state = new DrawingState("room");
+  state.access.admit("owner");
+  const a1 = state.addOperation(stroke(0), "A");
+
+  const clear = state.clear("owner");
+  assert.deepEqual(visibleIds(state), []);
+  // A's stroke is hidden under the clear: undoing it would change nothing
+  assert.equal(state.undoOwn("A"), null);
+  assert.deepEqual(state.getUndoState("A"), { canUndo: false, canRedo: false });
+
+  assert.equal(state.undoOwn("owner").inverseOf, clear.id);
+  assert.deepEqual(visibleIds(state), [a1.id]);
+  assert.equal(state.undoOwn("A").inverseOf, a1.id);
+  assert.deepEqual(visibleIds(state), []);
+});
+
+test("undo skips a stroke another user has since moved", () => {
+  const state = new DrawingState("room");
+  state.access.admit("owner");
+  const a1 = state.addOperation(stroke(0), "A");
+  const a2 = state.addOperation(stroke(10), "A");
+
+  const move = state.transform({ targets: [a2.id], dx: 5, dy: 5 }, "owner");
+  const [copy] = move.ops;
+  assert.deepEqual(visibleIds(state), [a1.id, copy.id]);
+
+  // a2 is covered by the moved copy, so A's undo takes the one below it
+  assert.equal(state.undoOwn("A").inverseOf, a1.id);
+  assert.deepEqual(visibleIds(state), [copy.id]);
+
+  // once the move is undone, a2 is back on top and undoable again
+  state.undoOwn("owner");
+  assert.deepEqual(visibleIds(state), [a2.id]);
+  assert.equal(state.undoOwn("A").inverseOf, a2.id);
+  assert.deepEqual(visibleIds(state), []);
+});
+
+test("redo waits while another user's change covers the op", () => {
+  const state = new DrawingState("room");
+  state.access.admit("owner");
+  const a1 = state.addOperation(stroke(0), "A");
+  const move = state.transform({ targets: [a1.id], dx: 1, dy: 0 }, "owner");
+
+  // the move covers a1, so A can't undo it; once the move is undone A can
+  assert.equal(state.undoOwn("A"), null);
+  state.undoOwn("owner");
+  state.undoOwn("A");
+  // with a1 undone the move has nothing to apply to
+  assert.equal(state.redoOwn("owner"), null);
+
+  assert.equal(state.redoOwn("A").redoOf, a1.id);
+  assert.equal(state.redoOwn("owner").redoOf, move.id);
+  assert.deepEqual(visibleIds(state), [move.ops[0].id]);
+});
+
+test("the board stays in order through many edits, undos and redos", () => {
+  const state = new DrawingState("room", { undoDepth: 50 });
+  state.access.admit("owner");
+  const users = ["owner", "A", "B"];
+  let seed = 1;
+  const random = (n) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+  };
+
+  // what the board shows, worked out from scratch
+  const expected = () =>
+    [...state.byId.values()]
+      .filter(
+        (op) =>
+          DrawingState.DRAWABLE_TYPES.has(op.type) &&
+          state.active.has(op.id) &&
+          !state.replacedBy.has(op.id)
+      )
+      .sort((a, b) => a.seq - b.seq || (a.sub || 0) - (b.sub || 0))
+      .map((op) => op.id);
+
+  for (let i = 0; i < 3000; i++) {
+    const user = users[random(3)];
+    const roll = random(10);
+    if (roll < 5) state.addOperation(stroke(i), user);
+    else if (roll < 7) state.undoOwn(user);
+    else if (roll < 9) state.redoOwn(user);
+    else {
+      const board = state.getActiveOperations();
+      const target = board[random(board.length || 1)];
+      if (target) state.transform({ targets: [target.id], dx: 1 }, "owner");
+    }
+    if (i % 500 === 0) assert.deepEqual(visibleIds(state), expected());
+  }
+  assert.ok(state.getActiveOperations().length > 600); // several blocks
+  assert.deepEqual(visibleIds(state), expected());
+});
@@ -0,0 +1,161 @@
+// Paint-bucket fills (shared/fill.js): flooding a pixel buffer, and the
+// fill op the flooded area becomes
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const BoardFill = require("../shared/fill");
+const { validate } = require("../server/validation");
+
+const COLORS = {
+  ".": [255, 255, 255, 255], // paper
+  "#": [0, 0, 0, 255], // a line
+  g: [240, 240, 240, 255], // a smudge, 15/255 off white
+};
+
+// An RGBA buffer drawn as rows of COLORS keys
+function pixels(rows) {
+  return {
+    cols: rows[0].length,
+    rows: rows.length,
+    data: Uint8ClampedArray.from(
+      rows.flatMap((row) => [...row].flatMap((key) => COLORS[key]))
+    ),
+  };
+}
+
+// A mask as rows of "x" (in) and "." (out), to compare against
+function picture(mask, cols) {
+  const rows = [];
+  for (let i = 0; i < mask.length; i += cols) {
+    rows.push(
+      [...mask.slice(i, i + cols)].map((m) => (m ? "x" : ".")).join("")
+    );
+  }
+  return rows;
+}
+
+const ring = pixels([
+  ".......",
+  ".#####.",
+  ".#...#.",
+  ".#.g.#.",
+  ".#...#.",
+  ".#####.",
+  ".......",
+]);
+
+const flood = (image, col, row, tolerance = 0) =>
+  BoardFill.flood(image.data, image.cols, image.rows, col, row, tolerance);
+
+// ----------------------------------------------------------
+// flood
+// ----------------------------------------------------------
+test("a flood fills the closed area around the seed, within tolerance", () => {
+  assert.deepEqual(picture(flood(ring, 2, 2), ring.cols), [
+    ".......",
+    ".......",
+    "..xxx..",
+    "..x.x..",
+    "..xxx..",
+    ".......",
+    ".......",
+  ]);
+
+  // the smudge is 5.9% off: left out at 5%, taken in at 10%
+  const at5 = picture(flood(ring, 2, 2, 5), ring.cols);
+  assert.equal(at5[3], "..x.x..");
+  const at10 = picture(flood(ring, 2, 2, 10), ring.cols);
+  assert.equal(at10[3], "..xxx..");
+
+  // from the smudge itself only the smudge matches at 0
+  assert.equal(
+    flood(ring, 3, 3).reduce((sum, m) => sum + m, 0),
+    1
+  );
+  // and no tolerance short of 100% crosses the line
+  assert.equal(picture(flood(ring, 2, 2, 99), ring.cols)[1], ".......");
+});
+
+test("a flood that escapes the area, or starts off the grid, finds nothing", () => {
+  assert.equal(flood(ring, 0, 0), null); // outside the ring: open board
+  assert.equal(flood(ring, -1, 3), null);
+  assert.equal(flood(ring, 7, 3), null);
+  assert.equal(flood(ring, 3, 7), null);
+
+  const gap = pixels([
+    ".......",
+    ".##.##.",
+    ".#...#.",
+    ".#...#.",
+    ".#...#.",
+    ".#####.",
+    ".......",
+  ]);
+  assert.equal(flood(gap, 3, 3), null);
+  assert.equal(flood(gap, 3, 3, 100), null);
+});
+
+// ----------------------------------------------------------
+// The fill op
+// ----------------------------------------------------------
+test("the area is packed into as few rectangles as its rows allow", () => {
+  const { cols, rows } = ring;
+  assert.deepEqual(
+    BoardFill.toRects(flood(ring, 2, 2, 10), cols, rows),
+    [2, 2, 3, 3]
+  );
+  // the smudge splits the middle row, so the top can't stack onto it
+  assert.deepEqual(
+    BoardFill.toRects(flood(ring, 2, 2), cols, rows),
+    [2, 2, 3, 1, 2, 3, 1, 1, 4, 3, 1, 1, 2, 4, 3, 1]
+  );
+  assert.deepEqual(
+    BoardFill.toRects(new Uint8Array(cols * rows), cols, rows),
+    []
+  );
+});
+
+test("a flooded area becomes a fill op that tucks under its outline", () => {
+  const { cols, rows } = ring;
+  const rects = BoardFill.toRects(
+    BoardFill.dilate(flood(ring, 2, 2, 10), cols, rows),
+    cols,
+    rows
+  );
+  assert.deepEqual(rects, [1, 1, 5, 5]); // over the ring's inner half
+
+  // sampled at 2 world units per cell from (-10, 20), as fillAt does
+  const cell = 2;
+  const op = validate("stroke-complete", {
+    type: "fill",
+    x: -10,
+    y: 20,
+    w: cols * cell,
+    h: rows * cell,
+    cols,
+    rows,
+    rects,
+    color: "#FF0000",
+  });
+  assert.deepEqual(BoardFill.worldRects(op), [
+    { x: -8, y: 22, width: 10, height: 10 },
+  ]);
+  assert.deepEqual(BoardFill.bounds(op), {
+    minX: -8,
+    minY: 22,
+    maxX: 2,
+    maxY: 32,
+  });
+  assert.equal(BoardFill.covers(op, { x: -3, y: 27 }), true);
+  assert.equal(BoardFill.covers(op, { x: 3, y: 27 }), false);
+  assert.equal(BoardFill.covers(op, { x: 3, y: 27 }, 1), true);
+  assert.equal(BoardFill.pathData(op), "M-8 22h10v10h-10z");
+});
+
+test("large boards are sampled coarser to stay under MAX_CELLS", () => {
+  assert.equal(BoardFill.cellSize(100, 100), 1);
+  assert.equal(BoardFill.cellSize(2000, 2000), 1);
+  assert.equal(BoardFill.cellSize(4000, 4000), 2);
+  assert.equal(BoardFill.cellSize(5000, 5000), 4);
+});
@@ -0,0 +1,154 @@
+// Rate limiting (server/rate-limit.js): token buckets, escalation of a
+// flooding socket, the room cap, and what the sender hears
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RateLimiter, TokenBucket } = require("../server/rate-limit");
+
+// slow refills, so the middleware tests (on the real clock) never see one
+const limits = {
+  perSocket: {
+    stroke: { rate: 0.01, burst: 2 },
+    "stroke-complete": { rate: 0.01, burst: 2 },
+  },
+  perRoom: { cursor: { rate: 1, burst: 3 } },
+  capEvents: ["stroke-complete"],
+  maxOperationsPerRoom: 5,
+  rejectEvents: ["stroke-complete"],
+  escalation: { violationWindowMs: 60000, warnAfter: 3, disconnectAfter: 5 },
+};
+
+// The ctx the server's middleware chain gets, recording what happens
+function fakeCtx(event, roomId = "r") {
+  const sent = [];
+  const socket = {
+    id: "s1",
+    roomId,
+    disconnected: false,
+    emit: (name, payload) => sent.push([name, payload]),
+    disconnect() {
+      this.disconnected = true;
+    },
+  };
+  const ctx = {
+    socket,
+    event,
+    payload: { clientId: "c1" },
+    reject: (reason) => sent.push(["rejected", reason]),
+  };
+  return { ctx, sent };
+}
+
+test("a token bucket refills at its rate up to its burst", () => {
+  const bucket = new TokenBucket(2, 2, 0);
+  assert.equal(bucket.take(0), true);
+  assert.equal(bucket.take(0), true);
+  assert.equal(bucket.take(0), false);
+  assert.equal(bucket.take(500), true); // one token back after 0.5 s
+  assert.equal(bucket.take(500), false);
+  assert.equal(bucket.take(10000), true);
+  assert.equal(bucket.take(10000), true);
+  assert.equal(bucket.take(10000), false); // never more than the burst
+});
+
+test("a flooding socket is dropped, then warned once, then disconnected", () => {
+  const limiter = new RateLimiter(limits);
+  const verdicts = [];
+  for (let i = 0; i < 7; i++)
+    verdicts.push(limiter.check("s1", "r", "stroke", 0));
+
+  assert.deepEqual(verdicts, [
+    "ok",
+    "ok",
+    "drop",
+    "drop",
+    "warn",
+    "drop",
+    "disconnect",
+  ]);
+  const metrics = limiter.getMetrics();
+  assert.equal(metrics.warnings, 1);
+  assert.equal(metrics.disconnects, 1);
+  assert.deepEqual(metrics.events.stroke, { allowed: 2, dropped: 5 });
+});
+
+test("violations are forgiven after a quiet window", () => {
+  const limiter = new RateLimiter(limits);
+  for (let i = 0; i < 5; i++) limiter.check("s1", "r", "stroke", 0);
+
+  // the bucket has refilled and the old violations no longer count
+  assert.equal(limiter.check("s1", "r", "stroke", 1e6), "ok");
+  assert.equal(limiter.check("s1", "r", "stroke", 1e6), "ok");
+  assert.equal(limiter.check("s1", "r", "stroke", 1e6), "drop");
+  assert.equal(limiter.check("s1", "r", "stroke", 1e6), "drop");
+  assert.equal(limiter.check("s1", "r", "stroke", 1e6), "warn");
+});
+
+test("a busy room sheds load without punishing anyone", () => {
+  const limiter = new RateLimiter(limits);
+  const verdicts = ["a", "b", "c", "d", "e"].map((socketId) =>
+    limiter.check(socketId, "r", "cursor", 0)
+  );
+  assert.deepEqual(verdicts, ["ok", "ok", "ok", "drop", "drop"]);
+  assert.equal(limiter.sockets.get("d").violations, 0);
+  assert.equal(limiter.check("f", "other", "cursor", 0), "ok");
+});
+
+test("a full room refuses new operations but not live traffic", () => {
+  let stored = 4;
+  const limiter = new RateLimiter(limits, { countRoomOps: () => stored });
+  assert.equal(limiter.check("s1", "r", "stroke-complete", 0), "ok");
+
+  stored = 5;
+  assert.equal(limiter.check("s1", "r", "stroke-complete", 0), "room-full");
+  assert.equal(limiter.check("s1", "r", "stroke", 0), "ok");
+  assert.equal(limiter.getMetrics().roomCapRejections, 1);
+
+  const { ctx, sent } = fakeCtx("stroke-complete");
+  limiter.middleware()(ctx, () => assert.fail("handler must not run"));
+  assert.deepEqual(sent, [["rejected", "Room is full (5 operations)"]]);
+});
+
+test("a throttled commit is rejected every time, so it leaves the outbox", () => {
+  const limiter = new RateLimiter(limits);
+  const mw = limiter.middleware();
+  let handled = 0;
+  const outcomes = [];
+  for (let i = 0; i < 5; i++) {
+    const { ctx, sent } = fakeCtx("stroke-complete");
+    mw(ctx, () => handled++);
+    outcomes.push(sent.map(([name]) => name));
+  }
+
+  assert.equal(handled, 2);
+  assert.deepEqual(outcomes, [
+    [],
+    [],
+    ["rejected"],
+    ["rejected"],
+    ["rejected", "rate-limited"], // the warning
+  ]);
+});
+
+test("throttled live events are dropped silently until the warning", () => {
+  const limiter = new RateLimiter(limits);
+  const mw = limiter.middleware();
+  const runs = [];
+  for (let i = 0; i < 7; i++) {
+    const { ctx, sent } = fakeCtx("stroke");
+    mw(ctx, () => {});
+    runs.push({ sent, socket: ctx.socket });
+  }
+
+  assert.deepEqual(runs[2].sent, []);
+  assert.deepEqual(
+    runs[4].sent.map(([name]) => name),
+    ["rate-limited"]
+  );
+  assert.equal(runs[5].socket.disconnected, false);
+  assert.deepEqual(runs[6].sent, [
+    ["rate-limited", { event: "stroke", reason: "Disconnected for flooding" }],
+  ]);
+  assert.equal(runs[6].socket.disconnected, true);
+});
@@ -0,0 +1,224 @@
+// RoomManager (server/room.js) on a MemoryStore: what it keeps in memory
+// for loaded and stored rooms, and what it writes back
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_DRIVER = "memory";
+const RoomManager = require("../server/room").constructor;
+const { MemoryStore } = require("../server/storage");
+
+// A MemoryStore that counts the calls made to it
+function countingStore() {
+  const store = new MemoryStore();
+  store.calls = {};
+  for (const name of ["load", "listImages", "loadImage", "saveChat"]) {
+    const method = store[name].bind(store);
+    store.calls[name] = 0;
+    store[name] = (...args) => {
+      store.calls[name]++;
+      return method(...args);
+    };
+  }
+  return store;
+}
+
+const png = (text) => Buffer.from(`\x89PNG${text}`, "latin1");
+
+// ----------------------------------------------------------
+// Images
+// ----------------------------------------------------------
+test("a loaded room answers image checks from its index", () => {
+  const store = countingStore();
+  const rooms = new RoomManager({ store });
+  rooms.getRoom("r");
+  const listed = store.calls.listImages;
+
+  const imageId = rooms.addImage("r", png("one"));
+  assert.equal(rooms.addImage("r", png("one")), imageId); // stored once
+  assert.equal(rooms.hasImage("r", imageId), true);
+  assert.equal(rooms.hasImage("r", imageId.replace(/^./, "0")), false);
+  assert.equal(store.calls.listImages, listed);
+
+  const missing = "0".repeat(64) + ".png";
+  assert.equal(rooms.getImage("r", missing), null);
+  assert.equal(store.calls.loadImage, 0);
+  assert.deepEqual(rooms.getImage("r", imageId), png("one"));
+});
+
+test("a room loaded later indexes the images already stored", () => {
+  const store = new MemoryStore();
+  const imageId = new RoomManager({ store }).addImage("r", png("two"));
+
+  const rooms = new RoomManager({ store });
+  rooms.getRoom("r");
+  assert.equal(rooms.hasImage("r", imageId), true);
+  assert.deepEqual(rooms.getImage("r", imageId), png("two"));
+});
+
+test("reading a stored room's access parses it once", () => {
+  const store = countingStore();
+  const writer = new RoomManager({ store });
+  writer.admit("r", "owner", { password: "secret" });
+  writer.unloadRoom("r");
+
+  // the room that unloaded it doesn't read it back at all
+  assert.equal(writer.readAccess("r").ownerId, "owner");
+  assert.equal(store.calls.load, 1); // getRoom's, before it existed
+
+  const rooms = new RoomManager({ store });
+  assert.equal(rooms.readAccess("r").roleOf("stranger"), null);
+  assert.equal(rooms.readAccess("r").ownerId, "owner");
+  assert.equal(store.calls.load, 2);
+  assert.equal(rooms.readAccess("elsewhere"), null);
+});
+
+test("a loaded room's access is the live one", () => {
+  const store = new MemoryStore();
+  const rooms = new RoomManager({ store });
+  rooms.admit("r", "owner");
+  rooms.unloadRoom("r");
+  rooms.readAccess("r");
+
+  rooms.admit("r", "guest");
+  rooms.getRoom("r").drawingState.access.ban("guest", "Guest");
+  assert.equal(rooms.readAccess("r").banned.has("guest"), true);
+
+  rooms.unloadRoom("r");
+  assert.equal(rooms.readAccess("r").banned.has("guest"), true);
+});
+
+// ----------------------------------------------------------
+// Compaction
+// ----------------------------------------------------------
+const history = { compactAfter: 20, keepTail: 5, undoDepth: 3 };
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+function draw(rooms, n) {
+  for (let i = 0; i < n; i++) {
+    rooms.addOperation("r", { type: "stroke", points: [] }, "u");
+  }
+}
+
+test("compaction runs after the event that triggered it, once", async () => {
+  const store = new MemoryStore();
+  let saves = 0;
+  const save = store.save.bind(store);
+  store.save = (...args) => {
+    saves++;
+    save(...args);
+  };
+  const rooms = new RoomManager({ store, history });
+
+  draw(rooms, 25); // past compactAfter within one burst
+  const state = rooms.getRoom("r").drawingState;
+  assert.equal(state.operations.length, 25);
+  assert.equal(saves, 0);
+
+  await nextTick();
+  assert.equal(saves, 1);
+  assert.ok(state.checkpointSeq > 0);
+  assert.equal(store.load("r").checkpointSeq, state.checkpointSeq);
+
+  draw(rooms, 1); // not due again yet
+  await nextTick();
+  assert.equal(saves, 1);
+});
+
+test("a room unloaded before its compaction isn't compacted again", async () => {
+  const store = new MemoryStore();
+  const rooms = new RoomManager({ store, history });
+  draw(rooms, 25);
+  const state = rooms.getRoom("r").drawingState;
+  rooms.unloadRoom("r");
+
+  await nextTick();
+  assert.equal(state.checkpointSeq, 0);
+  assert.equal(store.load("r").operations.length, 25);
+});
+
+test("a compacted room's history still carries its layers", async () => {
+  const rooms = new RoomManager({ store: new MemoryStore(), history });
+  rooms.changeLayers("r", { action: "create", name: "Sketch" }, "u");
+  draw(rooms, 25);
+  await nextTick();
+
+  const { checkpointSeq, layers } = rooms.getHistory("r");
+  assert.ok(checkpointSeq > 0);
+  assert.deepEqual(layers, rooms.getLayers("r"));
+  assert.deepEqual(
+    layers.map((layer) => layer.name),
+    ["Layer 1", "Sketch"]
+  );
+});
+
+// ----------------------------------------------------------
+// Chat & comments
+// ----------------------------------------------------------
+const discussion = { maxMessages: 3, maxComments: 10, maxReplies: 5 };
+
+test("the chat log is rewritten once maxMessages entries were dropped", () => {
+  const store = countingStore();
+  const rooms = new RoomManager({ store, discussion });
+  const said = (n) => {
+    for (let i = 0; i < n; i++) rooms.chat("r", "u", `message ${i}`);
+  };
+
+  said(6); // 3 kept, 3 dropped
+  assert.equal(store.calls.saveChat, 0);
+  assert.equal(store.loadChat("r").length, 6);
+
+  said(1);
+  assert.equal(store.calls.saveChat, 1);
+  assert.equal(store.loadChat("r").length, 3);
+
+  said(3);
+  assert.equal(store.calls.saveChat, 1);
+  said(1);
+  assert.equal(store.calls.saveChat, 2);
+  assert.deepEqual(store.loadChat("r"), rooms.getDiscussion("r"));
+});
+
+test("comments survive the rewrite, and a reloaded room has them", () => {
+  const store = new MemoryStore();
+  const rooms = new RoomManager({ store, discussion });
+  const comment = rooms.comment("r", "u", {
+    action: "add",
+    x: 1,
+    y: 2,
+    text: "here",
+  });
+  rooms.comment("r", "u", {
+    action: "reply",
+    commentId: comment.id,
+    text: "ok",
+  });
+  for (let i = 0; i < 8; i++) rooms.chat("r", "u", `message ${i}`);
+
+  const [stored] = store.loadChat("r");
+  assert.equal(stored.id, comment.id);
+  assert.equal(stored.replies.length, 1);
+
+  const kept = rooms.getDiscussion("r");
+  assert.equal(kept.length, 4);
+  rooms.unloadRoom("r");
+  assert.deepEqual(
+    new RoomManager({ store, discussion }).getDiscussion("r"),
+    kept
+  );
+});
+
+test("a room with only chat is listed and expires", () => {
+  const store = new MemoryStore();
+  const rooms = new RoomManager({ store, discussion, roomTtlMs: 1000 });
+  rooms.chat("talk", "u", "hello");
+  rooms.unloadRoom("talk");
+  store.rooms.delete("talk"); // as if only the chat was ever stored
+
+  assert.deepEqual(
+    store.list().map((room) => room.roomId),
+    ["talk"]
+  );
+  assert.deepEqual(rooms.sweepExpired(Date.now() + 2000), ["talk"]);
+  assert.deepEqual(store.loadChat("talk"), []);
+});
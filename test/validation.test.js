@@ -0,0 +1,240 @@
+// Payload validation (server/validation.js): what malformed points,
+// colors, sizes and imports are refused with, and what a valid payload
+// is cleaned down to
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validate, ValidationError } = require("../server/validation");
+const BoardExport = require("../shared/export");
+const config = require("../server/config");
+
+const limits = config.validation;
+
+function stroke(fields = {}) {
+  return {
+    type: "stroke",
+    tool: "brush",
+    color: "#000000",
+    width: 2,
+    points: [
+      { x: 0, y: 0 },
+      { x: 1, y: 1 },
+    ],
+    ...fields,
+  };
+}
+
+// The message `validate` refuses the payload with
+function refusal(event, payload) {
+  try {
+    validate(event, payload);
+  } catch (err) {
+    assert.ok(err instanceof ValidationError);
+    return err.message;
+  }
+  return assert.fail(`${event} was accepted`);
+}
+
+// ----------------------------------------------------------
+// Operations
+// ----------------------------------------------------------
+test("only the fields an operation knows about survive", () => {
+  const op = validate(
+    "stroke-complete",
+    stroke({ id: "x", userId: "u", seq: 9, clientId: "c-1", layerId: "l" })
+  );
+  assert.deepEqual(Object.keys(op).sort(), [
+    "clientId",
+    "color",
+    "layerId",
+    "points",
+    "tool",
+    "type",
+    "width",
+  ]);
+  assert.equal(
+    refusal("stroke-complete", stroke({ type: "blob" })),
+    "type must be one of: stroke,shape,text,fill,image"
+  );
+});
+
+test("malformed points are refused, stray ones clamped", () => {
+  const points = (points) => refusal("stroke-complete", stroke({ points }));
+  assert.equal(points([]), "points must not be empty");
+  assert.equal(points("0,0"), "points must be an array");
+  assert.equal(points([{ x: 0, y: 0 }, null]), "points[1] must be an object");
+  assert.equal(points([{ x: 0 }]), "y must be a finite number");
+  assert.equal(points([{ x: NaN, y: 0 }]), "x must be a finite number");
+  assert.equal(points([{ x: "1", y: 0 }]), "x must be a finite number");
+  assert.equal(
+    points(Array(limits.maxPoints + 1).fill({ x: 0, y: 0 })),
+    `points exceeds ${limits.maxPoints} items`
+  );
+  assert.equal(
+    points([{ x: 0, y: 0, pressure: Infinity }]),
+    "pressure must be a finite number"
+  );
+
+  const { points: clean } = validate(
+    "stroke-complete",
+    stroke({ points: [{ x: 1.23456, y: 2e9, pressure: 0.333, t: 5 }] })
+  );
+  assert.deepEqual(clean, [{ x: 1.2, y: limits.maxCoord, pressure: 0.33 }]);
+});
+
+test("colors must be hex, except for the eraser", () => {
+  for (const color of ["red", "#12345", "#gggggg", "rgb(0,0,0)", 0, null]) {
+    assert.equal(
+      refusal("stroke-complete", stroke({ color })),
+      "color must be a hex color like #1a2b3c",
+      String(color)
+    );
+  }
+  assert.equal(
+    validate("stroke-complete", stroke({ color: "#ABC" })).color,
+    "#abc"
+  );
+  const eraser = stroke({ tool: "eraser", color: "url(javascript:0)" });
+  assert.equal(validate("stroke-complete", eraser).color, "rgba(0,0,0,1)");
+  assert.equal(
+    refusal("stroke-complete", {
+      type: "text",
+      x: 0,
+      y: 0,
+      text: "hi",
+      fontSize: 12,
+    }),
+    "color must be a hex color like #1a2b3c"
+  );
+});
+
+test("sizes must be numbers; out-of-range ones are clamped", () => {
+  const width = (width) => validate("stroke-complete", stroke({ width })).width;
+  assert.equal(width(0), limits.minWidth);
+  assert.equal(width(1e9), limits.maxWidth);
+  assert.equal(
+    refusal("stroke-complete", stroke({ width: "2" })),
+    "width must be a finite number"
+  );
+
+  const text = { type: "text", x: 0, y: 0, text: "hi", color: "#000" };
+  assert.equal(
+    validate("stroke-complete", { ...text, fontSize: 1 }).fontSize,
+    limits.minFontSize
+  );
+  assert.equal(
+    refusal("stroke-complete", { ...text }),
+    "fontSize must be a finite number"
+  );
+
+  const image = { type: "image", imageId: `${"a".repeat(64)}.png`, x: 0, y: 0 };
+  assert.equal(
+    refusal("stroke-complete", { ...image, w: 0, h: 10 }),
+    "w must be positive"
+  );
+  assert.equal(
+    validate("stroke-complete", { ...image, w: 1e9, h: 10 }).w,
+    limits.maxCoord * 2
+  );
+});
+
+test("a fill must fit its rectangles inside its grid", () => {
+  const fill = (fields) =>
+    refusal("stroke-complete", {
+      type: "fill",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 4,
+      cols: 4,
+      rows: 4,
+      rects: [0, 0, 4, 4],
+      color: "#000",
+      ...fields,
+    });
+  assert.equal(
+    fill({ cols: 0 }),
+    `cols must be an integer from 1 to ${limits.maxFillCells}`
+  );
+  assert.equal(
+    fill({ cols: 1.5 }),
+    `cols must be an integer from 1 to ${limits.maxFillCells}`
+  );
+  assert.equal(
+    fill({ rects: [0, 0, 4] }),
+    "rects must be groups of col, row, width, height"
+  );
+  assert.equal(
+    fill({ rects: [1, 0, 4, 4] }),
+    "rects[0] must be a rectangle of cells inside the grid"
+  );
+  assert.equal(
+    fill({ rects: [0, 0, 0, 4] }),
+    "rects[0] must be a rectangle of cells inside the grid"
+  );
+  assert.equal(
+    fill({ rects: [0, -1, 1, 1] }),
+    "rects[0] must be a rectangle of cells inside the grid"
+  );
+});
+
+// ----------------------------------------------------------
+// Import
+// ----------------------------------------------------------
+test("an import keeps only what the parser reads, each op validated", () => {
+  const exported = BoardExport.toJSON([stroke({ id: "o1", seq: 3 })], "room");
+  const doc = validate("import", {
+    ...exported,
+    layerId: "layer-2",
+    userId: "someone-else",
+  });
+
+  assert.deepEqual(Object.keys(doc).sort(), [
+    "format",
+    "layerId",
+    "layers",
+    "operations",
+    "version",
+  ]);
+  assert.equal(doc.layerId, "layer-2");
+  assert.deepEqual(doc.operations, [validate("stroke-complete", stroke())]);
+  assert.deepEqual(BoardExport.parseJSON(doc), doc.operations);
+});
+
+test("malformed imports are refused", () => {
+  const doc = (fields) => ({
+    ...BoardExport.toJSON([stroke()], "room"),
+    ...fields,
+  });
+  assert.equal(refusal("import", null), "import must be an object");
+  assert.equal(refusal("import", [stroke()]), "import must be an object");
+  assert.equal(
+    refusal("import", doc({ operations: undefined })),
+    "operations must be an array"
+  );
+  assert.equal(
+    refusal("import", doc({ operations: [stroke(), stroke({ color: "x" })] })),
+    "color must be a hex color like #1a2b3c"
+  );
+  assert.equal(
+    refusal("import", doc({ operations: [stroke({ points: [{}] })] })),
+    "x must be a finite number"
+  );
+  assert.equal(
+    refusal("import", doc({ layerId: { id: 1 } })),
+    "layerId must be a string"
+  );
+  const max = config.import.maxOperations;
+  assert.equal(
+    refusal("import", doc({ operations: Array(max + 1).fill(stroke()) })),
+    `operations exceeds ${max} items`
+  );
+
+  // the format itself is the parser's to check
+  const wrong = validate("import", doc({ format: "something-else" }));
+  assert.throws(
+    () => BoardExport.parseJSON(wrong),
+    /Not a collaborative-canvas/
+  );
+});
@@ -0,0 +1,141 @@
+// Binary wire format (shared/wire.js): everything decodes to what JSON
+// would have delivered, within the format's 0.1-unit grid for live
+// traffic and exactly for committed ops
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const BoardWire = require("../shared/wire");
+const { validate } = require("../server/validation");
+
+const roundTrip = (event, payload) =>
+  BoardWire.decode(event, BoardWire.encode(event, payload));
+
+test("a stroke segment survives with negative coordinates and pressure", () => {
+  const seg = {
+    x0: -12.3,
+    y0: 45.6,
+    x1: -12.1,
+    y1: -0.4,
+    color: "#1a2b3c",
+    width: 4.5,
+    tool: "brush",
+    pressure: 0.37,
+    smooth: true,
+    strokeId: "s-1",
+    userId: "u-1",
+  };
+  assert.deepEqual(roundTrip("stroke", seg), seg);
+});
+
+test("a shape preview keeps its kind and fill", () => {
+  const seg = {
+    kind: "shape",
+    tool: "rect",
+    color: "#ff0000",
+    width: 2,
+    fill: true,
+    x0: -100,
+    y0: -50,
+    x1: 20.5,
+    y1: 30,
+    strokeId: "s-2",
+  };
+  assert.deepEqual(roundTrip("stroke", seg), seg);
+});
+
+test("live coordinates are rounded to the grid", () => {
+  const seg = { x0: 1.234, y0: -5.678, x1: 2, y1: 3, color: "#000", width: 1 };
+  const out = roundTrip("stroke", { ...seg, tool: "brush" });
+  assert.equal(out.x0, 1.2);
+  assert.equal(out.y0, -5.7);
+});
+
+test("a batch keeps its order, chained and broken segments alike", () => {
+  const batch = [
+    { x0: 0, y0: 0, x1: -1.5, y1: 2, pressure: 0.5 },
+    { x0: -1.5, y0: 2, x1: -3, y1: 4.5, pressure: 0.51 },
+    { x0: 100, y0: -200, x1: 101, y1: -201 },
+  ].map((seg) => ({
+    ...seg,
+    color: "#00ff00",
+    width: 3,
+    tool: "brush",
+    strokeId: "s-3",
+  }));
+  assert.deepEqual(roundTrip("stroke-batch", batch), batch);
+});
+
+test("unknown fields travel along", () => {
+  const seg = { x0: 1, y0: 2, x1: 3, y1: 4, color: "#000", width: 1 };
+  const out = roundTrip("stroke", { ...seg, tool: "brush", future: [1, "a"] });
+  assert.deepEqual(out.future, [1, "a"]);
+});
+
+test("a committed stroke comes back exactly as the server stored it", () => {
+  const op = validate("stroke-complete", {
+    points: [
+      { x: -10.04, y: 3.33333, pressure: 0.126 },
+      { x: 0.1 + 0.2, y: -7.77, pressure: 1 },
+      { x: 250000.05, y: -0.06, pressure: 0 },
+    ],
+    color: "#123456",
+    width: 7.25,
+    tool: "brush",
+    clientId: "c-1",
+  });
+  const packed = BoardWire.encode("stroke-complete", op);
+  assert.deepEqual(BoardWire.decode("stroke-complete", packed), op);
+  assert.ok(packed.length < JSON.stringify(op).length);
+});
+
+test("points off the grid are never rounded", () => {
+  // e.g. ops stored before the server kept points on the grid
+  const op = {
+    id: "op-1",
+    seq: 4,
+    points: [
+      { x: 1.23456, y: -2 },
+      { x: 3, y: 4, pressure: 0.123 },
+    ],
+    color: "#000000",
+    width: 2.345,
+    tool: "brush",
+  };
+  assert.deepEqual(roundTrip("stroke-complete", op), op);
+});
+
+test("ops without points (shapes, text) pass through untouched", () => {
+  const op = {
+    type: "text",
+    x: -1.23456,
+    y: 9.87654,
+    text: "héllo\nworld",
+    color: "#000",
+    fontSize: 24,
+  };
+  assert.deepEqual(roundTrip("stroke-complete", op), op);
+});
+
+test("cursors and cursor removals", () => {
+  const cursor = {
+    x: -33.3,
+    y: 0.1,
+    socketId: "sock",
+    userId: "u-1",
+    username: "Ana",
+    color: "#abcdef",
+  };
+  assert.deepEqual(roundTrip("cursor", cursor), cursor);
+  assert.deepEqual(roundTrip("cursor", { remove: "sock" }), {
+    remove: "sock",
+  });
+});
+
+test("malformed payloads are refused", () => {
+  const good = BoardWire.encode("cursor", { x: 1, y: 2 });
+  assert.throws(() => BoardWire.decode("cursor", good.slice(0, -1)));
+  assert.throws(() => BoardWire.decode("cursor", new Uint8Array([9, 0])));
+  assert.throws(() => BoardWire.decode("cursor", Uint8Array.of(...good, 0)));
+  assert.throws(() => BoardWire.encode("join", {}));
+});